@@ -4,10 +4,23 @@
  */
 
 import * as THREE from 'three';
+import { expDecay, frameFactorToDecay } from '../utils/math.js';
+import { colorToNumber } from '../utils/color.js';
+
+// config.parallaxGridBlending values
+const BLENDING_MODES = {
+  additive: THREE.AdditiveBlending,
+  normal: THREE.NormalBlending
+};
 
 export class ParallaxLayers {
-  constructor(config) {
+  /**
+   * @param {Object} config
+   * @param {HTMLElement} [container] - Where var() colors are read
+   */
+  constructor(config, container) {
     this.config = config;
+    this.container = container;
     this.layers = [];
     this.group = new THREE.Group();
     
@@ -41,11 +54,11 @@ export class ParallaxLayers {
       uniforms: {
         uTime: { value: 0 },
         uOffset: { value: new THREE.Vector2(0, 0) },
-        uColor: { value: new THREE.Color(0x5a5a7a) },
-        uOpacity: { value: 0.65 },
-        uGridSize: { value: 50.0 },  // Very dense grid
-        uCrossSize: { value: 0.12 }, // Smaller cross arms
-        uCrossThickness: { value: 0.02 }
+        uColor: { value: new THREE.Color(colorToNumber(config.parallaxGridColor, this.container)) },
+        uOpacity: { value: config.parallaxGridOpacity },
+        uGridSize: { value: config.parallaxGridDensity },
+        uCrossSize: { value: config.parallaxCrossSize },
+        uCrossThickness: { value: config.parallaxCrossThickness }
       },
       vertexShader: `
         varying vec2 vUv;
@@ -123,7 +136,7 @@ export class ParallaxLayers {
         }
       `,
       transparent: true,
-      blending: THREE.AdditiveBlending,
+      blending: BLENDING_MODES[config.parallaxGridBlending],
       depthWrite: false,
       side: THREE.DoubleSide
     });
@@ -138,6 +151,28 @@ export class ParallaxLayers {
     this.group.add(mesh);
   }
   
+  /**
+   * Re-read grid colors, sizes and blending from config
+   */
+  applyConfig() {
+    if (!this.gridPlane) return;
+    
+    const { config } = this;
+    const uniforms = this.gridPlane.material.uniforms;
+    
+    uniforms.uColor.value.set(colorToNumber(config.parallaxGridColor, this.container));
+    uniforms.uOpacity.value = config.parallaxGridOpacity;
+    uniforms.uGridSize.value = config.parallaxGridDensity;
+    uniforms.uCrossSize.value = config.parallaxCrossSize;
+    uniforms.uCrossThickness.value = config.parallaxCrossThickness;
+    
+    const blending = BLENDING_MODES[config.parallaxGridBlending];
+    if (this.gridPlane.material.blending !== blending) {
+      this.gridPlane.material.blending = blending;
+      this.gridPlane.material.needsUpdate = true;
+    }
+  }
+  
   /**
    * Set target offset from tracking
    */
@@ -150,10 +185,10 @@ export class ParallaxLayers {
    * Update layers each frame - applies perspective tilt to grid
    */
   update(deltaTime, elapsedTime) {
-    // Smooth interpolation of offset
-    const smoothing = 0.04;
-    this.currentOffset.x += (this.targetOffset.x - this.currentOffset.x) * smoothing;
-    this.currentOffset.y += (this.targetOffset.y - this.currentOffset.y) * smoothing;
+    // Smooth interpolation of offset (frame-rate independent)
+    const decay = frameFactorToDecay(0.04);
+    this.currentOffset.x = expDecay(this.currentOffset.x, this.targetOffset.x, decay, deltaTime);
+    this.currentOffset.y = expDecay(this.currentOffset.y, this.targetOffset.y, decay, deltaTime);
     
     // Update grid plane perspective based on tracking
     if (this.gridPlane) {
@@ -3,12 +3,24 @@
  * Creates DOM-based terminal UI elements with parallax response
  */
 
+import { expDecay, frameFactorToDecay } from '../utils/math.js';
+import { resolveColor, toCSSColor } from '../utils/color.js';
+
 export class TerminalOverlay {
-  constructor(config) {
+  /**
+   * @param {Object} config
+   * @param {HTMLElement} [parent] - Element to mount into, defaults to document.body
+   */
+  constructor(config, parent = document.body) {
     this.config = config;
+    this.parent = parent;
     this.container = null;
     this.elements = {};
     
+    // Timers started by the system text blocks
+    this.timeInterval = null;
+    this.fpsFrameId = null;
+    
     // Parallax state
     this.currentOffset = { x: 0, y: 0 };
     this.targetOffset = { x: 0, y: 0 };
@@ -23,7 +35,11 @@ export class TerminalOverlay {
     // Create main container
     this.container = document.createElement('div');
     this.container.className = 'terminal-overlay';
-    this.container.id = 'terminal-overlay';
+    
+    // Fill the background's container rather than the whole window
+    if (this.parent !== document.body) {
+      this.container.classList.add('terminal-overlay--contained');
+    }
     
     // Create corner brackets
     if (this.config.showCornerBrackets) {
@@ -38,8 +54,8 @@ export class TerminalOverlay {
     // Add scan line effect overlay
     this.createScanLineOverlay();
     
-    // Append to body
-    document.body.appendChild(this.container);
+    // Append to parent element
+    this.parent.appendChild(this.container);
     
     // Trigger entrance animation
     requestAnimationFrame(() => {
@@ -61,10 +77,30 @@ export class TerminalOverlay {
     });
   }
   
+  /**
+   * @returns {string} config.terminalBracketColor as a CSS color
+   */
+  getBracketColor() {
+    return toCSSColor(resolveColor(this.config.terminalBracketColor, this.parent));
+  }
+  
+  /**
+   * Re-read the bracket color from config
+   */
+  applyConfig() {
+    const color = this.getBracketColor();
+    
+    for (const [name, element] of Object.entries(this.elements)) {
+      if (!name.startsWith('bracket-')) continue;
+      const path = element.querySelector('path');
+      if (path) path.setAttribute('stroke', color);
+    }
+  }
+  
   getBracketSVG(corner) {
     const size = 40;
     const strokeWidth = 1;
-    const color = '#4a4a7e';
+    const color = this.getBracketColor();
     
     // Different path based on corner
     let path;
@@ -121,7 +157,7 @@ export class TerminalOverlay {
     this.createTextBlock('bottom-right', [
       { text: 'DISPLAY_INFO', class: 'terminal-text--label' },
       { text: '― ― ― ― ― ― ―', class: 'terminal-text--divider' },
-      { text: `RES : ${window.innerWidth}×${window.innerHeight}`, class: 'terminal-text--data', id: 'display-res' },
+      { text: this.formatResolution(), class: 'terminal-text--data', id: 'display-res' },
       { text: `DPR : ${window.devicePixelRatio.toFixed(1)}`, class: 'terminal-text--data' },
       { text: `FPS : --`, class: 'terminal-text--data', id: 'display-fps' }
     ]);
@@ -131,9 +167,6 @@ export class TerminalOverlay {
     
     // Start FPS counter
     this.startFPSCounter();
-    
-    // Listen for resize
-    window.addEventListener('resize', () => this.updateDisplayInfo());
   }
   
   createTextBlock(position, lines) {
@@ -184,7 +217,7 @@ export class TerminalOverlay {
   }
   
   startTimeUpdater() {
-    setInterval(() => {
+    this.timeInterval = setInterval(() => {
       const now = new Date();
       if (this.elements['sys-date']) {
         this.elements['sys-date'].textContent = `DATE : ${this.formatDate(now)}`;
@@ -211,15 +244,27 @@ export class TerminalOverlay {
         lastTime = currentTime;
       }
       
-      requestAnimationFrame(countFrame);
+      this.fpsFrameId = requestAnimationFrame(countFrame);
     };
     
-    requestAnimationFrame(countFrame);
+    this.fpsFrameId = requestAnimationFrame(countFrame);
+  }
+  
+  /**
+   * Resolution of the element the overlay covers
+   */
+  formatResolution() {
+    const width = this.parent.clientWidth || window.innerWidth;
+    const height = this.parent.clientHeight || window.innerHeight;
+    return `RES : ${width}×${height}`;
   }
   
+  /**
+   * Refresh the resolution readout (called when the background resizes)
+   */
   updateDisplayInfo() {
     if (this.elements['display-res']) {
-      this.elements['display-res'].textContent = `RES : ${window.innerWidth}×${window.innerHeight}`;
+      this.elements['display-res'].textContent = this.formatResolution();
     }
   }
   
@@ -233,14 +278,15 @@ export class TerminalOverlay {
   
   /**
    * Update parallax position
+   * @param {number} deltaTime - Time since last frame in ms
    */
-  update() {
+  update(deltaTime) {
     if (!this.container) return;
     
-    // Smooth interpolation
-    const smoothing = 0.08;
-    this.currentOffset.x += (this.targetOffset.x - this.currentOffset.x) * smoothing;
-    this.currentOffset.y += (this.targetOffset.y - this.currentOffset.y) * smoothing;
+    // Smooth interpolation (frame-rate independent)
+    const decay = frameFactorToDecay(0.08);
+    this.currentOffset.x = expDecay(this.currentOffset.x, this.targetOffset.x, decay, deltaTime);
+    this.currentOffset.y = expDecay(this.currentOffset.y, this.targetOffset.y, decay, deltaTime);
     
     const multiplier = this.config.parallaxMultipliers?.ui || 0.6;
     const offsetX = this.currentOffset.x * multiplier * 10; // Scale for pixels
@@ -279,6 +325,16 @@ export class TerminalOverlay {
    * Clean up
    */
   dispose() {
+    if (this.timeInterval) {
+      clearInterval(this.timeInterval);
+      this.timeInterval = null;
+    }
+    
+    if (this.fpsFrameId) {
+      cancelAnimationFrame(this.fpsFrameId);
+      this.fpsFrameId = null;
+    }
+    
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
@@ -0,0 +1,380 @@
+/**
+ * Config Schema
+ * Expected type and range of every DEFAULT_CONFIG key
+ *
+ * validateConfig() checks a merged config against it:
+ * - unknown keys are reported with the closest known key
+ * - numeric strings and 'true'/'false' are coerced, colors are checked but kept as written
+ * - out-of-range numbers are clamped, anything unusable falls back to the default
+ */
+
+import { isColorValue } from './utils/color.js';
+import { THEMES } from './themes.js';
+import { warnOnce } from './utils/warn.js';
+
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min = -Infinity, max = Infinity) => ({ type: 'number', integer: true, min, max });
+const oneOf = (...values) => ({ type: 'enum', values });
+const BOOLEAN = { type: 'boolean' };
+const STRING = { type: 'string' };
+const COLOR = { type: 'color' };
+const VECTOR = { type: 'vector' };
+const ARRAY = { type: 'array' };
+
+const FALLBACK_MODES = ['lissajous', 'wander', 'keyframes', 'scroll'];
+
+export const CONFIG_SCHEMA = {
+  // Logo / Model
+  logoPath: { type: 'string', nullable: true },
+  logoScale: number(0),
+  logoRotation: VECTOR,
+  dracoDecoderPath: { type: 'string', nullable: true },
+  ktx2TranscoderPath: { type: 'string', nullable: true },
+  meshoptDecoder: BOOLEAN,
+  materialMode: oneOf('chrome', 'original'),
+  chromeMaterial: {
+    type: 'custom',
+    expected: 'an object of material properties like { color, roughness }',
+    check: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  },
+  materialOverrides: ARRAY,
+  models: {
+    type: 'custom',
+    expected: 'an array of models like [{ path, position, scale }]',
+    check: value => Array.isArray(value) && value.every(entry => entry !== null && typeof entry === 'object')
+  },
+
+  // Model animation
+  animationAutoplay: BOOLEAN,
+  animationClip: { type: 'string', nullable: true },
+  animationLoop: oneOf('repeat', 'once', 'pingpong'),
+  animationFadeTime: number(0),
+  animationTimeScale: number(),
+  animationScrollClip: { type: 'string', nullable: true },
+  animationTriggers: ARRAY,
+  animationApproachDistance: number(0, 1),
+
+  // Loading
+  posterImage: { type: 'string', nullable: true },
+  showLoadingProgress: BOOLEAN,
+  fadeInDuration: number(0),
+
+  // Camera
+  cameraFOV: number(1, 179),
+  cameraDistance: number(0),
+  maxCameraOffset: VECTOR,
+  cameraNear: number(0),
+  cameraFar: number(0),
+
+  // Projection
+  projectionMode: oneOf('lookAt', 'offAxis'),
+  screenWidth: number(0),
+  screenHeight: number(0),
+  viewingDistance: number(0),
+
+  // Tracking
+  trackingSensitivity: number(0),
+  smoothingFactor: number(0, 1),
+  faceDetectionFPS: number(1, 60),
+  faceDetectionModel: oneOf('short', 'full'),
+  viewerSelection: oneOf('sticky', 'largest', 'center', 'crowd'),
+  viewerHandoffDelay: number(0),
+  trackingFilter: oneOf('oneEuro', 'kalman', 'none'),
+  filterMinCutoff: number(0),
+  filterBeta: number(0),
+  filterDerivativeCutoff: number(0),
+  kalmanProcessNoise: number(0),
+  kalmanMeasurementNoise: number(0),
+  predictionTime: number(0),
+  faceTrackingMode: oneOf('bbox', 'keypoints'),
+  webcamFOV: number(1, 179),
+  interPupillaryDistance: number(0),
+  headRotationInfluence: number(0),
+  mouseTracking: BOOLEAN,
+  cameraRequestDelay: number(0),
+  cameraConsentPrompt: BOOLEAN,
+  cameraConsentTitle: STRING,
+  cameraConsentText: STRING,
+  cameraConsentAccept: STRING,
+  cameraConsentDecline: STRING,
+  showTrackingToggle: BOOLEAN,
+  showCameraPreview: BOOLEAN,
+  rememberTrackingChoice: BOOLEAN,
+  trackingConsentStorageKey: STRING,
+  mediapipeBasePath: STRING,
+
+  // Fallback animation
+  fallbackAnimationSpeed: number(0),
+  fallbackAnimationRadius: VECTOR,
+  fallbackMode: {
+    type: 'custom',
+    values: FALLBACK_MODES,
+    expected: `one of ${FALLBACK_MODES.join(', ')} or [{ mode, weight }]`,
+    check: value => FALLBACK_MODES.includes(value) || (value !== null && typeof value === 'object')
+  },
+  fallbackPreset: oneOf('figure8', 'circle', 'vertical8', 'knot', 'sway'),
+  fallbackKeyframes: ARRAY,
+  fallbackScrollPath: ARRAY,
+  fallbackBlendTime: number(0),
+
+  // Face loss recovery
+  lostHoldTime: number(0),
+  lostReturnStiffness: number(0),
+  idleTimeout: number(0),
+  idleBlendTime: number(0),
+  reacquireBlendTime: number(0),
+
+  // Theme
+  theme: {
+    type: 'custom',
+    values: ['auto', ...Object.keys(THEMES)],
+    expected: 'a theme name, "auto" or null',
+    check: value => value === null || typeof value === 'string'
+  },
+  darkTheme: STRING,
+  lightTheme: STRING,
+  themes: {
+    type: 'custom',
+    expected: 'an object of presets like { brand: { backgroundColor } }',
+    check: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  },
+  themeTransition: number(0),
+
+  // Background & Scene
+  backgroundColor: COLOR,
+  showGrid: BOOLEAN,
+  gridSize: number(0),
+  gridDivisions: integer(1),
+  gridColor: COLOR,
+  gridCenterColor: COLOR,
+
+  // Particles
+  showParticles: BOOLEAN,
+  particleCount: integer(0, 10000),
+  particleSize: number(0),
+  particleColor: COLOR,
+  particleSpread: number(0),
+  particleDrift: number(0),
+
+  // Terminal Background
+  terminalOverlay: BOOLEAN,
+  showCornerBrackets: BOOLEAN,
+  showSystemText: BOOLEAN,
+  scanLineOpacity: number(0, 1),
+  terminalBracketColor: COLOR,
+
+  // Parallax Layers
+  parallaxLayers: BOOLEAN,
+  parallaxMultipliers: VECTOR,
+  parallaxGridColor: COLOR,
+  parallaxGridOpacity: number(0, 1),
+  parallaxGridBlending: oneOf('additive', 'normal'),
+  parallaxGridDensity: number(1),
+  parallaxCrossSize: number(0, 0.5),
+  parallaxCrossThickness: number(0, 0.5),
+
+  // Lighting
+  ambientLightColor: COLOR,
+  ambientLightIntensity: number(0),
+  mainLightColor: COLOR,
+  mainLightIntensity: number(0),
+  mainLightPosition: VECTOR,
+  rimLightColor: COLOR,
+  rimLightIntensity: number(0),
+  rimLightPosition: VECTOR,
+  environmentMap: { type: 'string', nullable: true },
+  environmentColors: {
+    type: 'custom',
+    expected: 'an array of 4 colors, edge to center',
+    check: value => Array.isArray(value) && value.length === 4 && value.every(isColorValue)
+  },
+  environmentLights: {
+    type: 'custom',
+    expected: 'an array of lights like [{ x, y, radius, color, intensity }]',
+    check: value => Array.isArray(value) && value.every(light =>
+      light !== null && typeof light === 'object' && isColorValue(light.color) &&
+      ['x', 'y', 'radius'].every(key => typeof light[key] === 'number'))
+  },
+  environmentBandColor: COLOR,
+  environmentBandIntensity: number(0, 1),
+  environmentBandWidth: number(0, 1),
+
+  // Scroll timeline
+  scrollTimeline: ARRAY,
+  scrollTimelineSmoothing: number(0, 1),
+
+  // Performance
+  maxPixelRatio: number(0.5, 4),
+  antialias: BOOLEAN,
+
+  // Gyroscope
+  gyroMaxTilt: number(1, 90),
+  gyroSensitivity: number(0),
+
+  // Calibration
+  persistCalibration: BOOLEAN,
+  calibrationStorageKey: STRING,
+  calibrationStepDuration: number(100),
+
+  // Container
+  containerId: STRING,
+  autoInit: BOOLEAN,
+
+  // Debug
+  debugPanel: BOOLEAN,
+  debugUrlParam: STRING,
+  debugShortcut: STRING,
+
+  // Spotlight
+  spotlightRadius: number(0, 1),
+  spotlightSoftness: number(0, 1),
+  dotDensity: number(1, 500),
+  dotSize: number(0),
+  crossRatio: number(0, 1),
+  colorDark: COLOR,
+  colorLight: COLOR,
+  dotColorDark: COLOR,
+  dotColorLight: { type: 'color', nullable: true }
+};
+
+/**
+ * Edit distance, for suggesting the key a typo meant
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * @param {string} key
+ * @returns {string|null} Closest schema key, if close enough to be a typo
+ */
+function suggestKey(key) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of Object.keys(CONFIG_SCHEMA)) {
+    const d = distance(key.toLowerCase(), candidate.toLowerCase());
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Check one value, coercing it where the intent is clear
+ * @param {string} key
+ * @param {*} value
+ * @param {Object} rule - Schema entry
+ * @param {*} fallback - Default value
+ * @returns {*} Value to use
+ */
+function checkValue(key, value, rule, fallback) {
+  const reject = (expected) => {
+    warnOnce(`Config "${key}" should be ${expected}, got ${JSON.stringify(value)}. Using ${JSON.stringify(fallback)}`);
+    return fallback;
+  };
+
+  switch (rule.type) {
+    case 'number': {
+      const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+        return reject(rule.integer ? 'an integer' : 'a number');
+      }
+
+      const rounded = rule.integer ? Math.round(parsed) : parsed;
+      const clamped = Math.min(Math.max(rounded, rule.min), rule.max);
+      if (clamped !== rounded) {
+        warnOnce(`Config "${key}" is ${rounded}, outside ${rule.min} to ${rule.max}. Using ${clamped}`);
+      }
+      return clamped;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return reject('true or false');
+
+    case 'string':
+      if (typeof value === 'string' || (rule.nullable && value === null)) return value;
+      return reject(rule.nullable ? 'a string or null' : 'a string');
+
+    case 'enum':
+      return rule.values.includes(value) ? value : reject(`one of ${rule.values.join(', ')}`);
+
+    case 'color':
+      // Consumers resolve the color themselves, var() needs the page's styles
+      return isColorValue(value) || (rule.nullable && value === null)
+        ? value
+        : reject('a color like 0x0a0a0f, "#0a0a0f", "rgb(10 10 15)", "hsl(240, 20%, 5%)", "navy" or "var(--brand-dark)"');
+
+    case 'vector': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return reject('an object like { x, y, z }');
+      }
+
+      const result = { ...value };
+      for (const [axis, component] of Object.entries(value)) {
+        const parsed = Number(component);
+        if (component === null || component === '' || !Number.isFinite(parsed)) {
+          warnOnce(`Config "${key}.${axis}" should be a number, got ${JSON.stringify(component)}`);
+          result[axis] = fallback && axis in fallback ? fallback[axis] : 0;
+        } else {
+          result[axis] = parsed;
+        }
+      }
+      return result;
+    }
+
+    case 'array':
+      return Array.isArray(value) ? value : reject('an array');
+
+    case 'custom':
+      return rule.check(value) ? value : reject(rule.expected);
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a merged config, warning about unknown keys and bad values
+ * @param {Object} config
+ * @param {Object} defaults - DEFAULT_CONFIG
+ * @returns {Object} Config with coerced values
+ */
+export function validateConfig(config, defaults) {
+  const result = { ...config };
+
+  for (const key of Object.keys(config)) {
+    const rule = CONFIG_SCHEMA[key];
+
+    if (!rule) {
+      const suggestion = suggestKey(key);
+      warnOnce(suggestion
+        ? `Unknown config option "${key}", did you mean "${suggestion}"?`
+        : `Unknown config option "${key}"`);
+      continue;
+    }
+
+    result[key] = checkValue(key, config[key], rule, defaults[key]);
+  }
+
+  return result;
+}
@@ -3,11 +3,55 @@
  * These values can be overridden via window.IMMERSIVE_CONFIG
  */
 
+import { validateConfig } from './config-schema.js';
+import { getThemePreset } from './themes.js';
+
+// Directory the bundle was loaded from, used to locate self-hosted assets
+const SCRIPT_BASE = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src.replace(/[^/]*$/, '')
+  : '';
+
+const MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_detection';
+const DRACO_CDN = 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/';
+const BASIS_CDN = 'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/libs/basis/';
+
 const DEFAULT_CONFIG = {
   // Logo / Model
   logoPath: '/OFF-PISTE.glb', // Path to GLTF file, null uses placeholder cube
   logoScale: 2,
   logoRotation: { x: 0, y: 0, z: 0 },
+  // Decoders for compressed GLBs, only fetched when a model needs them
+  // Offline builds (npm run build:offline) default to the draco/ and basis/ folders next to the bundle
+  dracoDecoderPath: __DECODERS_LOCAL__ ? `${SCRIPT_BASE}draco/` : DRACO_CDN,  // null disables Draco meshes
+  ktx2TranscoderPath: __DECODERS_LOCAL__ ? `${SCRIPT_BASE}basis/` : BASIS_CDN, // null disables KTX2 textures
+  meshoptDecoder: true,      // EXT_meshopt_compression, the decoder is bundled
+  materialMode: 'chrome',    // 'chrome' replaces every material in the GLB, 'original' keeps the authored ones
+  chromeMaterial: {          // MeshPhysicalMaterial properties for the chrome look
+    color: 0x222228,         // Dark base with slight warmth
+    metalness: 1.0,          // Full metallic
+    roughness: 0.02,         // Very smooth for mirror-like finish
+    envMapIntensity: 2.5,    // Strong reflections
+    clearcoat: 0.3,          // Adds an extra reflective layer
+    clearcoatRoughness: 0.1, // Smooth clearcoat
+    reflectivity: 1.0        // Maximum reflectivity
+  },
+  materialOverrides: [],     // Per mesh/material: [{ match: 'Badge*', mode: 'original', roughness: 0.4 }], see README
+  models: [],                // Compose several models instead of the logo: [{ path, position, scale, parallax }], see README
+
+  // Model animation (clips exported in the GLB)
+  animationAutoplay: true,          // Play a clip once the model loads
+  animationClip: null,              // Clip to autoplay, null plays the first one
+  animationLoop: 'repeat',          // 'repeat', 'once' or 'pingpong'
+  animationFadeTime: 500,           // ms crossfade between clips
+  animationTimeScale: 1,            // Playback speed
+  animationScrollClip: null,        // Clip scrubbed by page scroll instead of played
+  animationTriggers: [],            // [{ on: 'approach', clip: 'Wave', loop: 'once' }], see README
+  animationApproachDistance: 0.5,   // Face Z offset (0-1) that counts as the viewer approaching
+
+  // Loading
+  posterImage: null,          // Image shown while loading, and kept if WebGL or the model fails
+  showLoadingProgress: true,  // Progress bar on the poster while the model downloads
+  fadeInDuration: 600,        // ms to fade from the poster to the scene
 
   // Camera
   cameraFOV: 50,
@@ -16,15 +60,68 @@ const DEFAULT_CONFIG = {
   cameraNear: 0.1,
   cameraFar: 1000,
 
+  // Projection
+  projectionMode: 'lookAt',  // 'lookAt' (orbit around logo) or 'offAxis' (window into 3D space)
+  screenWidth: 0.34,         // Physical screen width in metres (offAxis only)
+  screenHeight: 0.21,        // Physical screen height in metres (offAxis only)
+  viewingDistance: 0.6,      // Typical eye-to-screen distance in metres (offAxis and keypoints depth tracking)
+
   // Tracking
   trackingSensitivity: 0.8,
   smoothingFactor: 0.06,
   faceDetectionFPS: 20,
+  faceDetectionModel: 'short',    // 'short' (within ~2m) or 'full' (up to ~5m, kiosks and installs)
+  viewerSelection: 'sticky',      // 'sticky', 'largest', 'center' or 'crowd' (average everyone) with several faces
+  viewerHandoffDelay: 500,        // ms before switching to a different viewer
+  trackingFilter: 'oneEuro',      // 'oneEuro', 'kalman' or 'none' - smooths every tracker's output
+  filterMinCutoff: 1.0,           // One-Euro: cutoff in Hz when still (lower = less jitter)
+  filterBeta: 0.5,                // One-Euro: cutoff boost with speed (higher = less lag)
+  filterDerivativeCutoff: 1.0,    // One-Euro: cutoff in Hz for the speed estimate
+  kalmanProcessNoise: 2,          // Kalman: how quickly head velocity may change
+  kalmanMeasurementNoise: 0.002,  // Kalman: expected tracker jitter (variance)
+  predictionTime: 0,              // Kalman: ms to look ahead, hides camera latency (e.g. 50)
+  faceTrackingMode: 'bbox',       // 'bbox' (box center/size) or 'keypoints' (eyes, metric depth, head rotation)
+  webcamFOV: 60,                  // Horizontal webcam field of view in degrees (keypoints mode)
+  interPupillaryDistance: 0.063,  // Average adult eye distance in metres (keypoints mode)
+  headRotationInfluence: 0,       // How much head yaw/pitch/roll turns the 3D logo (0 = off, 1 = match)
+  mouseTracking: false,      // 3D logo: follow the cursor when no camera/gyro (spotlight always does)
   cameraRequestDelay: 1000, // ms before requesting camera permission
+  // Camera consent and privacy
+  cameraConsentPrompt: true,      // Explain head tracking before the browser asks for the camera
+  cameraConsentTitle: 'Enable head tracking?',
+  cameraConsentText: 'The scene can follow your head using your camera. Video is processed on this device and never uploaded.',
+  cameraConsentAccept: 'Enable',
+  cameraConsentDecline: 'No thanks',
+  showTrackingToggle: true,       // Persistent head tracking on/off button
+  showCameraPreview: true,        // Live camera thumbnail while face tracking
+  rememberTrackingChoice: true,   // Remember accept/opt-out in localStorage
+  trackingConsentStorageKey: 'immersive-bg-tracking-consent',
+  // Folder holding face_detection.js and its wasm/tflite files
+  // Offline builds (npm run build:offline) default to the mediapipe/ folder next to the bundle
+  mediapipeBasePath: __MEDIAPIPE_LOCAL__ ? `${SCRIPT_BASE}mediapipe` : MEDIAPIPE_CDN,
 
   // Fallback animation
   fallbackAnimationSpeed: 0.0003,
   fallbackAnimationRadius: { x: 0.4, y: 0.25 },
+  fallbackMode: 'lissajous',  // 'lissajous', 'wander', 'keyframes', 'scroll' or [{ mode, weight }] to mix
+  fallbackPreset: 'figure8',  // Lissajous shape: 'figure8', 'circle', 'vertical8', 'knot' or 'sway'
+  fallbackKeyframes: [],      // 'keyframes' path: [{ time: ms, x, y, z, easing }], loops at the last time
+  fallbackScrollPath: [],     // 'scroll' path: [{ at: 0-1 scroll progress, x, y, z, easing }]
+  fallbackBlendTime: 1000,    // ms to crossfade when the mode changes
+
+  // Face loss recovery
+  lostHoldTime: 600,          // ms to hold the last position after the face is lost
+  lostReturnStiffness: 3,     // Spring speed (1/s) easing back to center afterwards
+  idleTimeout: 5000,          // ms without a face before the attract animation starts (0 = never)
+  idleBlendTime: 2000,        // ms to blend into the attract animation
+  reacquireBlendTime: 800,    // ms to blend back to live tracking when the face returns
+
+  // Theme
+  theme: null,                     // Preset name ('midnight', 'graphite', 'daylight'), 'auto' or null for the colors below
+  darkTheme: 'midnight',           // 'auto' theme when the system is in dark mode
+  lightTheme: 'daylight',          // 'auto' theme when the system is in light mode
+  themes: {},                      // Custom presets: { brand: { backgroundColor: 'var(--brand-dark)', ... } }
+  themeTransition: 800,            // ms to fade between themes (0 = instant)
 
   // Background & Scene
   backgroundColor: 0x0a0a0f,
@@ -47,6 +144,7 @@ const DEFAULT_CONFIG = {
   showCornerBrackets: true,
   showSystemText: false,
   scanLineOpacity: 0.015,
+  terminalBracketColor: 0x4a4a7e,
 
   // Parallax Layers
   parallaxLayers: true,
@@ -56,6 +154,12 @@ const DEFAULT_CONFIG = {
     near: 0.5,    // Scan lines
     ui: 0.6       // Terminal overlay elements
   },
+  parallaxGridColor: 0x5a5a7a,
+  parallaxGridOpacity: 0.65,
+  parallaxGridBlending: 'additive', // 'additive' (glows on dark backgrounds) or 'normal' (light backgrounds)
+  parallaxGridDensity: 50,        // Crosses per row (higher = denser grid)
+  parallaxCrossSize: 0.12,        // Cross arm length, fraction of a cell
+  parallaxCrossThickness: 0.02,   // Cross arm thickness, fraction of a cell
 
   // Lighting (optimized for chrome/metallic look)
   ambientLightColor: 0x303040,
@@ -66,6 +170,20 @@ const DEFAULT_CONFIG = {
   rimLightColor: 0x8090ff,
   rimLightIntensity: 1.5,              // Strong rim for edge glow
   rimLightPosition: { x: -5, y: 2, z: -5 },
+  environmentMap: null,                // .hdr or .exr equirect for chrome reflections, null paints the studio below
+  environmentColors: ['#606080', '#404060', '#202030', '#101018'], // Chrome reflections, outer edge to center band
+  environmentLights: [                 // Studio spots: x, y and radius as fractions of the map
+    { x: 0.73, y: 0.12, radius: 0.2, color: '#ffffff', intensity: 0.95 },  // Key light, top right
+    { x: 0.24, y: 0.18, radius: 0.15, color: '#dce6ff', intensity: 0.7 },  // Fill light, top left
+    { x: 0.5, y: 0.86, radius: 0.25, color: '#b4bedc', intensity: 0.5 }    // Bounced light from below
+  ],
+  environmentBandColor: '#8c96b4',     // Horizontal stripe reflected across the chrome
+  environmentBandIntensity: 0.4,       // 0 hides the stripe
+  environmentBandWidth: 0.2,           // Fraction of the map height
+
+  // Scroll timeline (camera, model and light stops driven by page scroll)
+  scrollTimeline: [],                  // Stops: { at, easing, camera, model, lights }, see README
+  scrollTimelineSmoothing: 0.15,       // Per-frame catch-up to the scroll position (1 = instant)
 
   // Performance
   maxPixelRatio: 2,
@@ -75,8 +193,19 @@ const DEFAULT_CONFIG = {
   gyroMaxTilt: 40, // degrees
   gyroSensitivity: 1,
 
+  // Calibration
+  persistCalibration: true,                          // Remember calibration in localStorage
+  calibrationStorageKey: 'immersive-bg-calibration', // localStorage key, shared by every instance
+  calibrationStepDuration: 2500,                     // ms per calibration step
+
   // Container
   containerId: 'hero-canvas',
+  autoInit: true, // Set to false to mount backgrounds yourself via create()
+
+  // Debug
+  debugPanel: false,                 // Show the tuning panel on load
+  debugUrlParam: 'immersive-debug',  // Opens the panel when present in the page URL (?immersive-debug)
+  debugShortcut: 'Alt+Shift+D',      // Toggles the panel, '' to disable
 
   // ============================================
   // Spotlight Background Settings (Fluid Halftone)
@@ -94,25 +223,107 @@ const DEFAULT_CONFIG = {
   // Colors (black background, grey dots)
   colorDark: '#000000',               // Background (pure black)
   colorLight: '#666666',              // Brightest dot color (dark grey)
-  dotColorDark: '#000000',            // Not used
-  dotColorLight: '#666666'            // Not used
+  dotColorDark: '#000000',            // Smallest dots fade towards this color
+  dotColorLight: null                 // Largest dots, null uses colorLight
 };
 
 /**
- * Merge user config with defaults
+ * Merge user config with defaults, then validate it against CONFIG_SCHEMA
+ * Theme colors sit between the defaults and anything set explicitly
+ * @param {Object} [overrides] - Per-instance options, applied on top of window.IMMERSIVE_CONFIG
+ */
+export function getConfig(overrides = {}) {
+  const userConfig = getPageConfig();
+  
+  const merged = deepMerge(deepMerge(DEFAULT_CONFIG, userConfig), overrides);
+  const theme = getThemePreset(merged);
+  const config = theme
+    ? deepMerge(deepMerge(deepMerge(DEFAULT_CONFIG, theme), userConfig), overrides)
+    : merged;
+  
+  return validateConfig(config, DEFAULT_CONFIG);
+}
+
+/**
+ * Config the page sets through window.IMMERSIVE_CONFIG
+ * @returns {Object}
  */
-export function getConfig() {
-  const userConfig = typeof window !== 'undefined' 
+export function getPageConfig() {
+  return typeof window !== 'undefined' 
     ? window.IMMERSIVE_CONFIG || {} 
     : {};
+}
+
+/**
+ * Read per-element config from data-immersive-* attributes
+ * e.g. data-immersive-dot-density="50" becomes { dotDensity: 50 }
+ * @param {HTMLElement} element
+ * @returns {Object}
+ */
+export function getElementConfig(element) {
+  const elementConfig = {};
+  if (!element || !element.dataset) return elementConfig;
+  
+  for (const key in element.dataset) {
+    // Skip the bare data-immersive mount attribute
+    if (!key.startsWith('immersive') || key === 'immersive') continue;
+    
+    const name = key.charAt(9).toLowerCase() + key.slice(10);
+    elementConfig[name] = parseAttributeValue(element.dataset[key]);
+  }
+  
+  return elementConfig;
+}
+
+/**
+ * Convert a data attribute string to a config value
+ * Handles booleans, numbers (including 0x hex) and JSON objects/arrays
+ * @param {string} value
+ * @returns {*}
+ */
+function parseAttributeValue(value) {
+  const trimmed = value.trim();
+  
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed === 'null') return null;
+  if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
   
-  return deepMerge(DEFAULT_CONFIG, userConfig);
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      console.warn(`Invalid JSON in data attribute: ${trimmed}`);
+    }
+  }
+  
+  return value;
+}
+
+/**
+ * List the top-level config keys whose values differ
+ * @param {Object} previous
+ * @param {Object} next
+ * @returns {string[]}
+ */
+export function diffConfig(previous, next) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  
+  return [...keys].filter(key => {
+    const a = previous[key];
+    const b = next[key];
+    if (a === b) return false;
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      return JSON.stringify(a) !== JSON.stringify(b);
+    }
+    return true;
+  });
 }
 
 /**
  * Deep merge utility for config objects
  */
-function deepMerge(target, source) {
+export function deepMerge(target, source) {
   const result = { ...target };
   
   for (const key in source) {
@@ -0,0 +1,893 @@
+/**
+ * Background Base
+ * Lifecycle and public API shared by the immersive and spotlight backgrounds:
+ * init/teardown, tracking, consent, calibration, live config and the animation loop
+ *
+ * Subclasses build their scene and provide the per-bundle hooks:
+ * setupScene(), handleTrackingUpdate(), applyConfig(), updateThemeTransition(),
+ * handleResize() and animate()
+ */
+
+import { getConfig, getElementConfig, deepMerge, diffConfig } from '../config.js';
+import { TrackerManager } from '../tracking/tracker-manager.js';
+import { registerDefaultTrackers } from '../tracking/default-trackers.js';
+import { CalibrationSession, clearCalibration } from '../tracking/calibration.js';
+import { CalibrationPrompt } from '../tracking/calibration-prompt.js';
+import { CameraConsent } from '../tracking/consent.js';
+import { DebugPanel, isDebugRequested, matchesShortcut } from './debug-panel.js';
+import { ThemeTransition } from './theme-transition.js';
+import { THEME_CONFIG_KEYS } from '../themes.js';
+import { EventEmitter } from '../utils/events.js';
+import { resolveContainer, ensurePositioned } from '../utils/dom.js';
+import { prefersReducedMotion, isMobile, hasCameraAccess } from '../utils/device.js';
+
+export class BackgroundBase extends EventEmitter {
+  /**
+   * @param {Object} [options] - Per-instance config, merged over window.IMMERSIVE_CONFIG
+   * @param {Object} bundle
+   * @param {string} bundle.label - Name used in console messages, e.g. 'Immersive background'
+   * @param {Set<string>} bundle.liveConfigKeys - Options setConfig() can apply without rebuilding the scene
+   */
+  constructor(options = {}, { label, liveConfigKeys }) {
+    super();
+    this.options = options;
+    this.config = getConfig(options);
+    this.label = label;
+    this.liveConfigKeys = liveConfigKeys;
+    this.container = null;
+    this.ownsContainer = false;
+    this.themeTransition = null;
+    
+    // Tracking systems
+    this.trackerManager = null;
+    this.activeTracker = null;
+    
+    // Trackers added through registerTracker(), kept across rebuilds
+    this.customTrackers = [];
+    this.calibrationSession = null;
+    this.cameraConsent = null;
+    this.debugPanel = null;
+    
+    // Animation state
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isInitialized = false;
+    this.lastTime = 0;
+    this.animationId = null;
+    
+    // Bumped by init() and teardown() so an init still loading can tell it was replaced
+    this.initGeneration = 0;
+    this.initTask = null;
+    
+    // Reduced motion mode
+    this.reducedMotion = prefersReducedMotion();
+    
+    // Permission UI element, removed on cleanup only if this instance created it
+    this.permissionButton = null;
+    this.ownsPermissionButton = false;
+    this.handlePermissionClick = null;
+    
+    // Bound window/document listeners so they can be removed on destroy
+    this.handleResize = this.handleResize.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleMotionPreferenceChange = this.handleMotionPreferenceChange.bind(this);
+    this.handleColorSchemeChange = this.handleColorSchemeChange.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.motionQuery = null;
+    this.colorSchemeQuery = null;
+    this.resizeObserver = null;
+  }
+  
+  /**
+   * Initialize the background
+   * A later init() or teardown() cancels one that is still loading
+   * @param {HTMLElement|string} [container] - Element or selector, defaults to #containerId
+   * @returns {Promise<boolean>} Settles with the newer init's result if a rebuild replaced it
+   */
+  init(container) {
+    const generation = ++this.initGeneration;
+    this.initTask = { generation, promise: this.initialize(container, generation) };
+    return this.initTask.promise;
+  }
+  
+  /**
+   * Result for an init() that teardown() or a newer init() overtook
+   * @param {number} generation
+   * @returns {Promise<boolean>|boolean}
+   */
+  supersededInit(generation) {
+    const { initTask } = this;
+    return initTask && initTask.generation > generation ? initTask.promise : false;
+  }
+  
+  /**
+   * @param {HTMLElement|string} [container]
+   * @param {number} generation - this.initGeneration when init() was called
+   * @returns {Promise<boolean>}
+   */
+  async initialize(container, generation) {
+    if (!this.mountContainer(container)) return false;
+    
+    try {
+      // Canvas, scene and anything it loads
+      const built = await this.setupScene(generation);
+      
+      // Torn down or rebuilt while the scene was loading
+      if (generation !== this.initGeneration) {
+        return this.supersededInit(generation);
+      }
+      if (!built) return false;
+      
+      // Setup tracking based on device
+      await this.setupTracking();
+      
+      // Torn down or rebuilt while the camera was starting
+      if (generation !== this.initGeneration) {
+        return this.supersededInit(generation);
+      }
+      
+      // Setup event listeners
+      this.setupEventListeners();
+      
+      // Tuning panel requested by config or URL, only on first init so rebuilds keep it as it was
+      if (!this.debugPanel && (this.config.debugPanel || isDebugRequested(this.config))) {
+        this.toggleDebugPanel(true);
+      }
+      
+      // Start animation loop
+      this.isInitialized = true;
+      this.start();
+      
+      this.emit('ready', this);
+      return true;
+    } catch (error) {
+      // Errors from a replaced init must not tear down its replacement
+      if (generation !== this.initGeneration) {
+        return this.supersededInit(generation);
+      }
+      
+      this.handleInitError(error);
+      return false;
+    }
+  }
+  
+  /**
+   * Find or create the container, then resolve the config against its attributes
+   * @param {HTMLElement|string} [container]
+   * @returns {boolean} False if a given container is not on the page
+   */
+  mountContainer(container) {
+    this.container = resolveContainer(container, this.config.containerId);
+    if (!this.container && container) {
+      console.warn('Container not found:', container);
+      this.emit('error', new Error('Container not found'));
+      return false;
+    }
+    if (!this.container) {
+      console.log(`Container #${this.config.containerId} not found, creating it`);
+      this.container = document.createElement('div');
+      this.container.id = this.config.containerId;
+      this.container.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 0;
+        pointer-events: none;
+      `;
+      document.body.insertBefore(this.container, document.body.firstChild);
+      this.ownsContainer = true;
+    }
+    
+    // data-immersive-* attributes sit between the global config and per-instance options
+    this.config = this.resolveConfig();
+    ensurePositioned(this.container);
+    return true;
+  }
+  
+  /**
+   * Build the scene in this.container
+   * @param {number} generation - this.initGeneration when init() was called
+   * @returns {Promise<boolean>} False if it cannot be built (having emitted 'error') or init was superseded
+   */
+  async setupScene(generation) {
+    return true;
+  }
+  
+  /**
+   * Report a failed init and release what it built
+   * @param {Error} error
+   */
+  handleInitError(error) {
+    console.error(`Failed to initialize ${this.label.toLowerCase()}:`, error);
+    this.cleanup();
+    this.emit('error', error);
+  }
+  
+  /**
+   * Setup tracking based on device capabilities
+   */
+  async setupTracking() {
+    this.trackerManager = new TrackerManager(this.config, (x, y, z, pose) => this.handleTrackingUpdate(x, y, z, pose));
+    this.trackerManager.setReducedMotion(this.reducedMotion);
+    registerDefaultTrackers(this.trackerManager, this.config, this.getTrackerOptions());
+    
+    for (const { name, factory, options } of this.customTrackers) {
+      this.trackerManager.register(name, factory, options);
+    }
+    
+    this.trackerManager.on('change', (name) => this.setActiveTracker(name));
+    this.trackerManager.on('statechange', (state, previous) => {
+      this.handleTrackingState(state);
+      this.emit('trackingstate', state, previous);
+    });
+    this.trackerManager.on('permissionrequired', (name) => {
+      if (name === 'gyroscope') {
+        this.showPermissionButton('motion');
+      } else if (name === 'face') {
+        this.cameraConsent.request();
+      }
+    });
+    
+    // Consent prompt, tracking toggle and privacy status for the camera
+    this.cameraConsent = new CameraConsent(this.config, this.trackerManager);
+    this.cameraConsent.on('status', (status) => this.emit('privacy', status));
+    this.cameraConsent.init(!this.reducedMotion && !isMobile() && hasCameraAccess());
+    
+    // If reduced motion is preferred, only use fallback with minimal animation
+    if (this.reducedMotion) {
+      console.log('Reduced motion preferred - using minimal fallback');
+      await this.trackerManager.activate('fallback');
+      return;
+    }
+    
+    // Best available tracker first; face tracking takes over once the camera is granted
+    await this.trackerManager.start();
+  }
+  
+  /**
+   * Options for registerDefaultTrackers()
+   * @returns {Object}
+   */
+  getTrackerOptions() {
+    return { mouse: this.config.mouseTracking, element: this.container };
+  }
+  
+  /**
+   * Output of the active tracker, called for every update
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {Object} [pose] - Head pose, only reported in keypoints face tracking mode
+   */
+  handleTrackingUpdate(x, y, z, pose) {
+    if (pose) {
+      this.emit('pose', pose);
+    }
+  }
+  
+  /**
+   * Tracking state changed ('tracking', 'lost', 'idle'...)
+   * @param {string} state
+   */
+  handleTrackingState(state) {}
+  
+  /**
+   * Record the active tracker and notify listeners when it changes
+   * @param {string} name
+   */
+  setActiveTracker(name) {
+    if (this.activeTracker === name) return;
+    
+    const previous = this.activeTracker;
+    this.activeTracker = name;
+    this.emit('trackerchange', name, previous);
+  }
+  
+  /**
+   * Add a custom tracker (see TrackerManager for the tracker contract)
+   * @param {string} name
+   * @param {Function} factory - (config, onUpdate) => tracker
+   * @param {Object} [options] - priority, delay, isAvailable, needsPermission
+   */
+  registerTracker(name, factory, options = {}) {
+    this.customTrackers = this.customTrackers.filter(tracker => tracker.name !== name);
+    this.customTrackers.push({ name, factory, options });
+    
+    if (this.trackerManager) {
+      this.trackerManager.register(name, factory, options);
+    }
+  }
+  
+  /**
+   * Switch to a specific tracker
+   * @param {string} name
+   * @returns {Promise<boolean>}
+   */
+  useTracker(name) {
+    if (!this.trackerManager) return Promise.resolve(false);
+    return this.trackerManager.activate(name);
+  }
+  
+  /**
+   * Change the ambient animation used without tracking and in attract mode
+   * @param {string|Object|Object[]} mode - 'lissajous', 'wander', 'keyframes', 'scroll' or weighted [{ mode, weight }]
+   * @param {number} [blendTime] - Crossfade in ms, defaults to config.fallbackBlendTime
+   */
+  setFallbackMode(mode, blendTime = this.config.fallbackBlendTime) {
+    this.config.fallbackMode = mode;
+    if (!this.trackerManager) return;
+    
+    const fallback = this.trackerManager.getTracker('fallback');
+    if (fallback && fallback.setMode) {
+      fallback.setMode(mode, blendTime);
+    }
+    this.trackerManager.recovery.setAnimationMode(mode, blendTime);
+  }
+  
+  /**
+   * Turn camera head tracking on or off, remembering the choice
+   * Turning it off stops the camera for every background on the page
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Whether the camera is running afterwards
+   */
+  setTrackingEnabled(enabled) {
+    if (!this.cameraConsent) return Promise.resolve(false);
+    return this.cameraConsent.setEnabled(enabled);
+  }
+  
+  /**
+   * Current camera state, consent and where frames are processed
+   * @returns {{camera: string, consent: string|null, processing: string}|null}
+   */
+  getPrivacyStatus() {
+    return this.cameraConsent ? this.cameraConsent.getStatus() : null;
+  }
+  
+  /**
+   * Run the guided calibration for the active face or gyroscope tracker
+   * The result is applied to every background sharing the tracker and remembered
+   * @returns {Promise<Object|null>} The calibration, or null if unsupported or cancelled
+   */
+  async calibrate() {
+    const name = this.activeTracker;
+    const handle = this.trackerManager && this.trackerManager.getTracker(name);
+    const tracker = handle && handle.tracker;
+    
+    if (!CalibrationSession.supports(name, tracker)) {
+      console.warn(`Calibration needs face or gyroscope tracking (active: ${name})`);
+      return null;
+    }
+    
+    this.cancelCalibration();
+    
+    const session = new CalibrationSession(name, tracker, this.config);
+    const prompt = new CalibrationPrompt(this.container);
+    session.on('step', (step, index, total) => {
+      prompt.setStep(step, index, total);
+      this.emit('calibrationstep', step.id, index, total);
+    });
+    this.calibrationSession = session;
+    
+    const calibration = await session.run();
+    prompt.dispose();
+    
+    if (this.calibrationSession === session) {
+      this.calibrationSession = null;
+    }
+    
+    if (calibration) {
+      this.emit('calibrate', name, calibration);
+    }
+    return calibration;
+  }
+  
+  /**
+   * Stop a running calibration, keeping the previous one
+   */
+  cancelCalibration() {
+    if (this.calibrationSession) {
+      this.calibrationSession.cancel();
+      this.calibrationSession = null;
+    }
+  }
+  
+  /**
+   * Forget stored calibration and return to the default neutral pose
+   */
+  resetCalibration() {
+    this.cancelCalibration();
+    clearCalibration(this.config);
+    
+    for (const name of ['face', 'gyroscope']) {
+      const handle = this.trackerManager && this.trackerManager.getTracker(name);
+      if (handle && handle.tracker.setCalibration) {
+        handle.tracker.setCalibration(null);
+      }
+    }
+  }
+  
+  /**
+   * Show permission button for iOS motion access
+   */
+  showPermissionButton(type) {
+    // Check for existing button in page
+    this.permissionButton = document.getElementById('enable-motion');
+    
+    if (!this.permissionButton) {
+      // Create button if not exists
+      this.permissionButton = document.createElement('button');
+      this.permissionButton.id = 'enable-motion';
+      this.permissionButton.className = 'enable-motion';
+      this.permissionButton.textContent = 'Tap to enable motion tracking';
+      this.permissionButton.style.cssText = `
+        position: fixed;
+        bottom: 2rem;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 0.75rem 1.5rem;
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 2rem;
+        color: white;
+        font-size: 0.875rem;
+        cursor: pointer;
+        backdrop-filter: blur(10px);
+        transition: all 0.3s ease;
+        z-index: 100;
+      `;
+      document.body.appendChild(this.permissionButton);
+      this.ownsPermissionButton = true;
+    }
+    
+    this.permissionButton.classList.add('visible');
+    this.permissionButton.style.display = 'block';
+    
+    const handleClick = async () => {
+      // Must start from the click so iOS shows its permission prompt
+      if (type === 'motion' && this.trackerManager) {
+        this.trackerManager.activate('gyroscope');
+      }
+      
+      this.hidePermissionButton();
+    };
+    
+    this.handlePermissionClick = handleClick;
+    this.permissionButton.addEventListener('click', handleClick);
+  }
+  
+  /**
+   * Hide the motion permission button and detach its handler
+   */
+  hidePermissionButton() {
+    if (!this.permissionButton) return;
+    
+    this.permissionButton.style.display = 'none';
+    this.permissionButton.classList.remove('visible');
+    
+    if (this.handlePermissionClick) {
+      this.permissionButton.removeEventListener('click', this.handlePermissionClick);
+      this.handlePermissionClick = null;
+    }
+  }
+  
+  /**
+   * Hide the motion permission button and take it off the page if this instance added it
+   * A button the page provides stays in place, hidden
+   */
+  removePermissionButton() {
+    this.hidePermissionButton();
+    
+    if (this.ownsPermissionButton && this.permissionButton.parentNode) {
+      this.permissionButton.parentNode.removeChild(this.permissionButton);
+    }
+    this.permissionButton = null;
+    this.ownsPermissionButton = false;
+  }
+  
+  /**
+   * Setup window event listeners
+   */
+  setupEventListeners() {
+    // Follow the container's size, falling back to window resize
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(this.container);
+    } else {
+      window.addEventListener('resize', this.handleResize);
+    }
+    
+    // Visibility change (pause when hidden)
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    
+    // Reduced motion preference change
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.motionQuery.addEventListener('change', this.handleMotionPreferenceChange);
+    
+    // Dark/light mode change, for theme: 'auto'
+    this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    this.colorSchemeQuery.addEventListener('change', this.handleColorSchemeChange);
+    
+    // Tuning panel shortcut
+    window.addEventListener('keydown', this.handleKeydown);
+  }
+  
+  /**
+   * Remove window event listeners
+   */
+  removeEventListeners() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    window.removeEventListener('resize', this.handleResize);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('keydown', this.handleKeydown);
+    
+    if (this.motionQuery) {
+      this.motionQuery.removeEventListener('change', this.handleMotionPreferenceChange);
+      this.motionQuery = null;
+    }
+    
+    if (this.colorSchemeQuery) {
+      this.colorSchemeQuery.removeEventListener('change', this.handleColorSchemeChange);
+      this.colorSchemeQuery = null;
+    }
+  }
+  
+  /**
+   * Stop rendering while the tab is hidden, unless paused through the API
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.stopLoop();
+    } else if (!this.isPaused) {
+      this.startLoop();
+    }
+  }
+  
+  /**
+   * Toggle the tuning panel with config.debugShortcut
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    if (matchesShortcut(e, this.config.debugShortcut)) {
+      e.preventDefault();
+      this.toggleDebugPanel();
+    }
+  }
+  
+  /**
+   * React to prefers-reduced-motion changes
+   * @param {MediaQueryListEvent} e
+   */
+  handleMotionPreferenceChange(e) {
+    this.reducedMotion = e.matches;
+    if (this.trackerManager) {
+      this.trackerManager.setReducedMotion(this.reducedMotion);
+    }
+    if (this.reducedMotion) {
+      this.switchToFallback();
+    }
+  }
+  
+  /**
+   * Switch between config.darkTheme and config.lightTheme when the system changes
+   */
+  handleColorSchemeChange() {
+    if (!this.isInitialized || this.config.theme !== 'auto') return;
+    
+    const next = this.resolveConfig();
+    this.updateConfig(next, diffConfig(this.config, next), true);
+  }
+  
+  /**
+   * Handle container resize
+   */
+  handleResize() {}
+  
+  /**
+   * Switch to fallback animation
+   */
+  switchToFallback() {
+    if (this.trackerManager) {
+      this.trackerManager.activate('fallback');
+    }
+  }
+  
+  /**
+   * Start the animation loop
+   */
+  start() {
+    if (!this.isInitialized) return;
+    
+    this.isPaused = false;
+    if (!document.hidden) {
+      this.startLoop();
+    }
+    this.emit('start');
+  }
+  
+  /**
+   * Pause the animation (stays paused across tab visibility changes)
+   */
+  pause() {
+    this.isPaused = true;
+    this.stopLoop();
+    this.emit('pause');
+  }
+  
+  /**
+   * Resume the animation after pause()
+   */
+  resume() {
+    if (!this.isInitialized) return;
+    
+    this.isPaused = false;
+    if (!document.hidden) {
+      this.startLoop();
+    }
+    this.emit('resume');
+  }
+  
+  /**
+   * Begin requesting animation frames
+   */
+  startLoop() {
+    if (this.isRunning) return;
+    
+    this.isRunning = true;
+    this.lastTime = performance.now();
+    this.animate();
+  }
+  
+  /**
+   * Stop requesting animation frames
+   */
+  stopLoop() {
+    this.isRunning = false;
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+  
+  /**
+   * Config from the page, the container's data-immersive-* attributes and the instance options
+   * @returns {Object}
+   */
+  resolveConfig() {
+    return getConfig(deepMerge(getElementConfig(this.container), this.options));
+  }
+  
+  /**
+   * Update config, applying it live where possible
+   * Changes outside this.liveConfigKeys rebuild the background in place
+   * @param {Object} partial - Config keys to change
+   * @returns {Promise<boolean>}
+   */
+  async setConfig(partial) {
+    const previous = this.resolveConfig();
+    this.options = deepMerge(this.options, partial);
+    const next = this.resolveConfig();
+    const changed = diffConfig(previous, next);
+    
+    return this.updateConfig(next, changed, changed.some(key => THEME_CONFIG_KEYS.includes(key)));
+  }
+  
+  /**
+   * Move to a new config, live when every changed key allows it
+   * @param {Object} next - Full config
+   * @param {string[]} changed - Config keys that changed
+   * @param {boolean} [fade] - Fade colors over config.themeTransition
+   * @returns {Promise<boolean>}
+   */
+  async updateConfig(next, changed, fade = false) {
+    if (this.isInitialized && changed.every(key => this.liveConfigKeys.has(key))) {
+      const from = { ...this.config };
+      
+      // Interrupted fades continue from the colors on screen
+      if (this.themeTransition) {
+        Object.assign(this.config, this.themeTransition.target);
+        changed = [...new Set([...changed, ...this.themeTransition.keys])];
+        this.themeTransition = null;
+      }
+      
+      // Update the shared config object in place so every component sees the new values
+      for (const key of changed) {
+        this.config[key] = next[key];
+      }
+      this.applyConfig(changed);
+      
+      if (fade && !this.reducedMotion && this.config.themeTransition > 0) {
+        this.themeTransition = new ThemeTransition(from, this.config, changed, {
+          duration: this.config.themeTransition,
+          element: this.container
+        });
+        this.updateThemeTransition(this.themeTransition.startTime);
+      }
+      
+      this.emit('config', this.config);
+      return true;
+    }
+    
+    // Components built so far hold the current config object, apply the change once init settles
+    if (!this.isInitialized && this.initTask) {
+      const ready = await this.initTask.promise;
+      if (ready && this.isInitialized) {
+        return this.updateConfig(next, changed, fade);
+      }
+    }
+    
+    this.config = next;
+    this.emit('config', this.config);
+    
+    if (!this.isInitialized) return false;
+    
+    const container = this.container;
+    const wasPaused = this.isPaused;
+    this.teardown();
+    
+    const success = await this.init(container);
+    if (success && wasPaused) {
+      this.pause();
+    }
+    return success;
+  }
+  
+  /**
+   * Push changed config values into the running background
+   * @param {string[]} changed - Config keys that changed
+   */
+  applyConfig(changed) {
+    this.trackerManager.applyConfig(changed);
+  }
+  
+  /**
+   * Step the theme fade
+   * @param {number} time - performance.now() timestamp
+   */
+  updateThemeTransition(time) {
+    if (this.themeTransition.apply(this.config, time)) {
+      this.themeTransition = null;
+    }
+  }
+  
+  /**
+   * Switch theme, fading over config.themeTransition
+   * @param {string|null} name - Preset name, 'auto' or null for the configured colors
+   * @returns {Promise<boolean>}
+   */
+  setTheme(name) {
+    return this.setConfig({ theme: name });
+  }
+  
+  /**
+   * Show or hide the tuning panel
+   * @param {boolean} [visible] - Defaults to the opposite of the current state
+   */
+  toggleDebugPanel(visible) {
+    if (!this.debugPanel) {
+      this.debugPanel = new DebugPanel(this);
+    }
+    this.debugPanel.toggle(visible);
+  }
+  
+  /**
+   * Get the merged config for this instance
+   * @returns {Object}
+   */
+  getConfig() {
+    return this.config;
+  }
+  
+  /**
+   * Render one frame and request the next
+   */
+  animate() {}
+  
+  /**
+   * Cleanup and dispose all resources
+   */
+  cleanup() {
+    this.stopLoop();
+    this.isInitialized = false;
+    
+    if (this.cameraConsent) {
+      this.cameraConsent.dispose();
+      this.cameraConsent = null;
+    }
+    
+    if (this.trackerManager) {
+      this.trackerManager.stop();
+      this.trackerManager.removeAllListeners();
+      this.trackerManager = null;
+    }
+    this.activeTracker = null;
+    
+    this.cancelCalibration();
+    this.removePermissionButton();
+    this.themeTransition = null;
+  }
+  
+  /**
+   * Release everything created by init() so it can run again
+   */
+  teardown() {
+    this.initGeneration++;
+    this.removeEventListeners();
+    this.cleanup();
+  }
+  
+  /**
+   * Tear down the background and remove it from the page
+   */
+  destroy() {
+    this.teardown();
+    
+    if (this.debugPanel) {
+      this.debugPanel.dispose();
+      this.debugPanel = null;
+    }
+    
+    if (this.ownsContainer && this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.ownsContainer = false;
+    
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Mount one background per matching element once the DOM is ready, when config.autoInit is set
+ * @param {Function} create - (container) => background with a ready promise
+ * @param {Object} options
+ * @param {string} options.selector - e.g. '[data-immersive="logo"]', else the legacy #containerId
+ * @param {string} options.label - Name used in console messages
+ * @param {string} options.globalName - Instances are exposed as window.__<name>__ and window.__<name>_INSTANCES__
+ */
+export function autoInit(create, { selector, label, globalName }) {
+  if (!getConfig().autoInit) return;
+  
+  const initAll = () => {
+    try {
+      const elements = Array.from(document.querySelectorAll(selector));
+      const containers = elements.length > 0 ? elements : [undefined];
+      
+      console.log(`Initializing ${containers.length} ${label.toLowerCase()}(s)...`);
+      
+      const instances = containers.map((container) => {
+        const bg = create(container);
+        bg.ready.then((success) => {
+          if (success) {
+            console.log(`${label} initialized successfully`);
+          } else {
+            console.warn(`${label} initialization returned false`);
+          }
+        }).catch((error) => {
+          console.error(`${label} initialization failed:`, error);
+        });
+        return bg;
+      });
+      
+      // Expose for debugging
+      window[`__${globalName}__`] = instances[0];
+      window[`__${globalName}_INSTANCES__`] = instances;
+    } catch (error) {
+      console.error(`${label} error:`, error);
+    }
+  };
+  
+  // Small delay to ensure all Webflow elements are ready
+  const safeInit = () => setTimeout(initAll, 100);
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', safeInit);
+  } else {
+    safeInit();
+  }
+}
@@ -33,6 +33,28 @@ export class CameraController {
     // Initialize camera position
     this.camera.position.copy(this.basePosition);
     this.camera.lookAt(this.lookAtTarget);
+    
+    if (this.isOffAxis()) {
+      this.updateOffAxisProjection();
+    }
+  }
+  
+  /**
+   * Check if the camera uses an asymmetric frustum anchored to the screen
+   * @returns {boolean}
+   */
+  isOffAxis() {
+    return this.config.projectionMode === 'offAxis';
+  }
+  
+  /**
+   * World units per physical metre in off-axis mode
+   * The resting camera stands in for a viewer config.viewingDistance metres from the screen
+   * @returns {number}
+   */
+  getWorldScale() {
+    const { cameraDistance, viewingDistance } = this.config;
+    return cameraDistance / viewingDistance;
   }
   
   /**
@@ -45,6 +67,11 @@ export class CameraController {
   setTargetOffset(x, y, z = 0) {
     const { maxCameraOffset, trackingSensitivity } = this.config;
     
+    if (this.isOffAxis()) {
+      this.setEyeOffset(x, y, z);
+      return;
+    }
+    
     // Apply sensitivity and clamp to max offset
     this.targetOffset.x = clamp(
       x * trackingSensitivity * maxCameraOffset.x,
@@ -65,6 +92,81 @@ export class CameraController {
     );
   }
   
+  /**
+   * Map normalized tracking input to a physical eye position in front of the screen
+   * X/Y span the physical screen, Z spans half the viewing distance either way
+   * @param {number} x - Horizontal offset (-1 to 1)
+   * @param {number} y - Vertical offset (-1 to 1)
+   * @param {number} z - Depth offset (-1 to 1)
+   */
+  setEyeOffset(x, y, z) {
+    const { screenWidth, screenHeight, viewingDistance, trackingSensitivity } = this.config;
+    const scale = this.getWorldScale();
+    
+    this.targetOffset.x = clamp(x * trackingSensitivity, -1, 1) * (screenWidth / 2) * scale;
+    this.targetOffset.y = clamp(y * trackingSensitivity, -1, 1) * (screenHeight / 2) * scale;
+    this.targetOffset.z = clamp(z * trackingSensitivity, -1, 1) * (viewingDistance / 2) * scale;
+  }
+  
+  /**
+   * Rebuild the projection matrix as an asymmetric frustum through the screen rectangle
+   * The camera keeps facing straight down -Z; only the frustum skews with the eye
+   */
+  updateOffAxisProjection() {
+    const { cameraNear, cameraFar, screenWidth, screenHeight } = this.config;
+    const camera = this.camera;
+    const scale = this.getWorldScale();
+    
+    // Physical screen rectangle on the z = 0 plane
+    const halfWidth = (screenWidth / 2) * scale;
+    const halfHeight = (screenHeight / 2) * scale;
+    
+    // Eye-to-screen distance, kept in front of the near plane
+    const eye = camera.position;
+    const distance = Math.max(eye.z, cameraNear * 2);
+    const nearScale = cameraNear / distance;
+    
+    const left = (-halfWidth - eye.x) * nearScale;
+    const right = (halfWidth - eye.x) * nearScale;
+    const top = (halfHeight - eye.y) * nearScale;
+    const bottom = (-halfHeight - eye.y) * nearScale;
+    
+    camera.rotation.set(0, 0, 0);
+    camera.projectionMatrix.makePerspective(left, right, top, bottom, cameraNear, cameraFar);
+    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+  }
+  
+  /**
+   * Re-read lens and resting distance from config
+   */
+  applyConfig() {
+    const { config } = this;
+    
+    this.camera.fov = config.cameraFOV;
+    this.camera.near = config.cameraNear;
+    this.camera.far = config.cameraFar;
+    this.basePosition.z = config.cameraDistance;
+    this.camera.updateProjectionMatrix();
+    
+    if (this.isOffAxis()) {
+      this.updateOffAxisProjection();
+    }
+  }
+  
+  /**
+   * Move the resting camera pose (e.g. from the scroll timeline)
+   * Tracking offsets are still applied on top
+   * @param {{x: number, y: number, z: number}} position
+   * @param {{x: number, y: number, z: number}} [lookAt] - Ignored in off-axis mode
+   */
+  setBasePose(position, lookAt) {
+    this.basePosition.set(position.x, position.y, position.z);
+    
+    if (lookAt) {
+      this.lookAtTarget.set(lookAt.x, lookAt.y, lookAt.z);
+    }
+  }
+  
   /**
    * Update camera position with smooth interpolation
    * @param {number} deltaTime - Time since last frame in ms
@@ -86,8 +188,12 @@ export class CameraController {
     this.camera.position.y = this.basePosition.y + this.currentOffset.y;
     this.camera.position.z = this.basePosition.z + this.currentOffset.z;
     
-    // Always look at the center
-    this.camera.lookAt(this.lookAtTarget);
+    if (this.isOffAxis()) {
+      this.updateOffAxisProjection();
+    } else {
+      // Always look at the center
+      this.camera.lookAt(this.lookAtTarget);
+    }
   }
   
   /**
@@ -98,6 +204,10 @@ export class CameraController {
   resize(width, height) {
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
+    
+    if (this.isOffAxis()) {
+      this.updateOffAxisProjection();
+    }
   }
   
   /**
@@ -114,7 +224,12 @@ export class CameraController {
       this.currentOffset.y = 0;
       this.currentOffset.z = 0;
       this.camera.position.copy(this.basePosition);
-      this.camera.lookAt(this.lookAtTarget);
+      
+      if (this.isOffAxis()) {
+        this.updateOffAxisProjection();
+      } else {
+        this.camera.lookAt(this.lookAtTarget);
+      }
     }
   }
   
@@ -0,0 +1,437 @@
+/**
+ * Debug Panel
+ * In-page tuning overlay: a control for every config key, live tracker readouts
+ * and an export of the current settings as a window.IMMERSIVE_CONFIG snippet
+ *
+ * Opened with config.debugPanel, the ?immersive-debug URL param (config.debugUrlParam)
+ * or the config.debugShortcut keys
+ */
+
+import DEFAULT_CONFIG, { diffConfig, deepMerge, getPageConfig, getElementConfig } from '../config.js';
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { parseColor, toHexString } from '../utils/color.js';
+
+// Readouts refresh at most this often (ms)
+const READOUT_INTERVAL = 100;
+
+/**
+ * Check the page URL for the debug param
+ * @param {Object} config
+ * @returns {boolean}
+ */
+export function isDebugRequested(config) {
+  if (!config.debugUrlParam || typeof window === 'undefined') return false;
+  return new URLSearchParams(window.location.search).has(config.debugUrlParam);
+}
+
+/**
+ * Check a keydown event against a shortcut such as 'Alt+Shift+D'
+ * @param {KeyboardEvent} event
+ * @param {string} shortcut
+ * @returns {boolean}
+ */
+export function matchesShortcut(event, shortcut) {
+  if (!shortcut) return false;
+
+  const parts = shortcut.toLowerCase().split('+').map(part => part.trim());
+  const key = parts.pop();
+  const modifiers = {
+    ctrl: event.ctrlKey,
+    alt: event.altKey,
+    shift: event.shiftKey,
+    meta: event.metaKey
+  };
+
+  for (const [name, pressed] of Object.entries(modifiers)) {
+    if (parts.includes(name) !== pressed) return false;
+  }
+
+  // Compare the physical key too, Alt changes event.key on macOS
+  return event.key.toLowerCase() === key || event.code.toLowerCase() === `key${key}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isColor(key) {
+  return Boolean(CONFIG_SCHEMA[key]) && CONFIG_SCHEMA[key].type === 'color';
+}
+
+/**
+ * Format a value as JavaScript source, colors as hex literals
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(key, value) {
+  if (typeof value === 'number' && isColor(key)) {
+    return `0x${value.toString(16).padStart(6, '0')}`;
+  }
+  return JSON.stringify(value);
+}
+
+export class DebugPanel {
+  /**
+   * @param {Object} background - ImmersiveBackground or SpotlightBackground instance
+   * @param {HTMLElement} [parent] - Defaults to document.body
+   */
+  constructor(background, parent = document.body) {
+    this.background = background;
+    this.parent = parent;
+
+    this.element = null;
+    this.readouts = null;
+    this.exportField = null;
+    this.controls = new Map();
+    this.lastReadout = 0;
+    this.frames = 0;
+    this.fps = 0;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isVisible() {
+    return this.element !== null && this.element.style.display !== 'none';
+  }
+
+  /**
+   * Show the panel, building it on first use
+   */
+  show() {
+    if (!this.element) {
+      this.build();
+    }
+    this.element.style.display = '';
+    this.refresh();
+  }
+
+  hide() {
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+  }
+
+  /**
+   * @param {boolean} [visible] - Defaults to the opposite of the current state
+   */
+  toggle(visible = !this.isVisible) {
+    if (visible) {
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+
+  build() {
+    this.element = document.createElement('section');
+    this.element.className = 'immersive-debug';
+    this.element.setAttribute('aria-label', 'Background tuning');
+    this.element.style.cssText = `
+      position: fixed;
+      top: 1rem;
+      right: 1rem;
+      width: 20rem;
+      max-height: calc(100vh - 2rem);
+      overflow-y: auto;
+      padding: 0.75rem;
+      background: rgba(10, 10, 15, 0.92);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 0.5rem;
+      color: #ddd;
+      font: 11px/1.4 ui-monospace, Menlo, Consolas, monospace;
+      z-index: 1000;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Background tuning';
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close tuning panel');
+    close.style.cssText = 'background: none; border: none; color: inherit; font-size: 1rem; cursor: pointer;';
+    close.addEventListener('click', () => this.hide());
+
+    header.appendChild(title);
+    header.appendChild(close);
+
+    this.readouts = document.createElement('pre');
+    this.readouts.setAttribute('aria-live', 'off');
+    this.readouts.style.cssText = 'margin: 0 0 0.5rem; white-space: pre-wrap; color: #9fe;';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'Filter options';
+    search.setAttribute('aria-label', 'Filter options');
+    search.style.cssText = 'width: 100%; box-sizing: border-box; margin-bottom: 0.5rem;';
+    search.addEventListener('input', () => this.filterRows(search.value));
+
+    const list = document.createElement('div');
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      list.appendChild(this.createRow(key));
+    }
+
+    this.element.appendChild(header);
+    this.element.appendChild(this.readouts);
+    this.element.appendChild(search);
+    this.element.appendChild(list);
+    this.element.appendChild(this.createExport());
+    this.parent.appendChild(this.element);
+
+    // Follow changes made through setConfig() elsewhere
+    this.unsubscribe = this.background.on('config', () => this.refresh());
+  }
+
+  /**
+   * Label and control for one config key
+   * @param {string} key
+   * @returns {HTMLElement}
+   */
+  createRow(key) {
+    const row = document.createElement('label');
+    row.dataset.key = key.toLowerCase();
+    row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; margin: 0.125rem 0;';
+
+    const name = document.createElement('span');
+    name.textContent = key;
+    name.style.cssText = 'overflow: hidden; text-overflow: ellipsis;';
+
+    const input = this.createInput(key, this.background.config[key]);
+    input.style.width = input.type === 'checkbox' ? '' : '8rem';
+    input.style.flexShrink = '0';
+
+    row.appendChild(name);
+    row.appendChild(input);
+    return row;
+  }
+
+  /**
+   * Pick a control for the value's type
+   * @param {string} key
+   * @param {*} value
+   * @returns {HTMLElement}
+   */
+  createInput(key, value) {
+    const options = CONFIG_SCHEMA[key] && CONFIG_SCHEMA[key].values;
+    let input;
+    let kind;
+
+    if (typeof value === 'boolean') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      kind = 'boolean';
+    } else if (isColor(key)) {
+      input = document.createElement('input');
+      input.type = 'color';
+      kind = typeof value === 'number' ? 'colorNumber' : 'colorString';
+    } else if (typeof value === 'number') {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      kind = 'number';
+    } else if (options && options.includes(value)) {
+      // String keys with a fixed set of values get a select instead of a text field
+      input = document.createElement('select');
+      for (const option of options) {
+        input.appendChild(new Option(option, option));
+      }
+      kind = 'string';
+    } else if (typeof value === 'string' || value === null) {
+      input = document.createElement('input');
+      input.type = 'text';
+      kind = 'string';
+    } else {
+      // Objects and arrays are edited as JSON
+      input = document.createElement('textarea');
+      input.rows = 2;
+      input.spellcheck = false;
+      kind = 'json';
+    }
+
+    input.addEventListener('change', () => this.handleChange(key, input, kind));
+    this.controls.set(key, { input, kind });
+    return input;
+  }
+
+  /**
+   * Apply a control's value
+   * @param {string} key
+   * @param {HTMLElement} input
+   * @param {string} kind
+   */
+  handleChange(key, input, kind) {
+    let value;
+
+    switch (kind) {
+      case 'boolean':
+        value = input.checked;
+        break;
+      case 'colorNumber':
+        value = parseInt(input.value.slice(1), 16);
+        break;
+      case 'number':
+        value = parseFloat(input.value);
+        if (isNaN(value)) return;
+        break;
+      case 'json':
+        try {
+          value = JSON.parse(input.value);
+          input.removeAttribute('aria-invalid');
+        } catch (error) {
+          input.setAttribute('aria-invalid', 'true');
+          return;
+        }
+        break;
+      default:
+        value = input.value;
+    }
+
+    this.background.setConfig({ [key]: value });
+  }
+
+  /**
+   * Sync every control with the background's config
+   */
+  refresh() {
+    if (!this.element) return;
+
+    const { config } = this.background;
+
+    for (const [key, { input, kind }] of this.controls) {
+      // Leave the field being edited alone
+      if (input === document.activeElement) continue;
+
+      const value = config[key];
+      switch (kind) {
+        case 'boolean':
+          input.checked = Boolean(value);
+          break;
+        case 'colorNumber':
+        case 'colorString':
+          input.value = toHexString(parseColor(value, this.background.container) || { r: 0, g: 0, b: 0 });
+          break;
+        case 'json':
+          input.value = JSON.stringify(value);
+          break;
+        default:
+          input.value = value === null ? '' : String(value);
+      }
+    }
+
+    this.exportField.value = this.getSnippet();
+  }
+
+  /**
+   * Hide rows whose key does not contain the search text
+   * @param {string} text
+   */
+  filterRows(text) {
+    const query = text.trim().toLowerCase();
+    for (const { input } of this.controls.values()) {
+      const row = input.parentNode;
+      row.style.display = row.dataset.key.includes(query) ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * @returns {HTMLElement}
+   */
+  createExport() {
+    const wrapper = document.createElement('div');
+    wrapper.style.marginTop = '0.75rem';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Copy IMMERSIVE_CONFIG';
+    button.addEventListener('click', () => {
+      this.exportField.value = this.getSnippet();
+      this.exportField.select();
+
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(this.exportField.value).then(
+          () => { button.textContent = 'Copied'; },
+          () => { button.textContent = 'Select and copy below'; }
+        );
+      }
+    });
+
+    this.exportField = document.createElement('textarea');
+    this.exportField.readOnly = true;
+    this.exportField.rows = 6;
+    this.exportField.setAttribute('aria-label', 'Config snippet');
+    this.exportField.style.cssText = 'width: 100%; box-sizing: border-box; margin-top: 0.25rem;';
+
+    wrapper.appendChild(button);
+    wrapper.appendChild(this.exportField);
+    return wrapper;
+  }
+
+  /**
+   * Settings that differ from the defaults, ready to paste into the page
+   * Covers window.IMMERSIVE_CONFIG, data-immersive-* attributes and instance options,
+   * but not the colors a theme fills in, so the snippet keeps following the theme
+   * @returns {string}
+   */
+  getSnippet() {
+    const { container, options } = this.background;
+    const settings = deepMerge(deepMerge(getPageConfig(), getElementConfig(container)), options);
+    const lines = diffConfig(DEFAULT_CONFIG, { ...DEFAULT_CONFIG, ...settings })
+      .filter(key => key in DEFAULT_CONFIG)
+      .map(key => `  ${key}: ${formatValue(key, settings[key])}`);
+
+    return `window.IMMERSIVE_CONFIG = {\n${lines.join(',\n')}\n};`;
+  }
+
+  /**
+   * Refresh readouts, call once per frame
+   * @param {number} time
+   */
+  update(time) {
+    if (!this.isVisible) return;
+
+    this.frames++;
+    const elapsed = time - this.lastReadout;
+    if (elapsed < READOUT_INTERVAL) return;
+
+    this.fps = Math.round(this.frames * 1000 / elapsed);
+    this.frames = 0;
+    this.lastReadout = time;
+
+    const manager = this.background.trackerManager;
+    const format = (sample) => sample
+      ? `${sample.x.toFixed(3)} ${sample.y.toFixed(3)} ${sample.z.toFixed(3)}`
+      : '--';
+
+    this.readouts.textContent = [
+      `tracker  ${this.background.activeTracker || '--'}`,
+      `state    ${manager ? manager.getState() : '--'}`,
+      `raw      ${format(manager && manager.rawSample)}`,
+      `filtered ${format(manager && manager.filteredSample)}`,
+      `fps      ${this.fps}`
+    ].join('\n');
+  }
+
+  /**
+   * Remove the panel
+   */
+  dispose() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.readouts = null;
+    this.exportField = null;
+    this.controls.clear();
+  }
+}
@@ -5,129 +5,363 @@
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { lerp } from '../utils/math.js';
+import { resolveColor, toCSSColor, colorToNumber } from '../utils/color.js';
+
+// Config keys that change the environment map
+export const ENVIRONMENT_CONFIG_KEYS = [
+  'environmentMap', 'environmentColors', 'environmentLights',
+  'environmentBandColor', 'environmentBandIntensity', 'environmentBandWidth'
+];
+
+// Gradient offsets for config.environmentColors, mirrored below the center band
+const ENVIRONMENT_STOPS = [0, 0.15, 0.35, 0.5];
+
+// Procedural studio texture, square equirect in pixels
+const ENVIRONMENT_SIZE = 1024;
+
+// config.materialMode values, also allowed as an override's mode
+const MATERIAL_MODES = ['chrome', 'original'];
+
+/**
+ * Check a materialOverrides entry against a mesh and its material
+ * match is a mesh or material name, * matches any run of characters
+ * @param {Object} override
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.Material} material
+ * @returns {boolean}
+ */
+function matchesOverride(override, mesh, material) {
+  if (!override || typeof override.match !== 'string') return false;
+  
+  const escaped = override.match.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+  return pattern.test(mesh.name) || pattern.test(material.name);
+}
+
+/**
+ * Material properties an override sets, everything except match and mode
+ * @param {Object} override
+ * @returns {Object|null}
+ */
+function getOverrideParams(override) {
+  const { match, mode, ...params } = override;
+  return Object.keys(params).length > 0 ? params : null;
+}
 
 export class ModelLoader {
-  constructor(config) {
+  /**
+   * @param {Object} config
+   * @param {HTMLElement} [container] - Where var() colors are read
+   */
+  constructor(config, container) {
     this.config = config;
+    this.container = container;
     this.loader = new GLTFLoader();
+    this.dracoLoader = null;
+    this.ktx2Loader = null;
+    this.ownsDecoders = true;
     this.model = null;
+    this.animations = [];
+    this.loadError = null;
+    this.onProgress = null;
     this.envMap = null;
+    // Bumped per createEnvMap() call so a slow file cannot replace a newer map
+    this.envMapRequest = 0;
     this.chromeMaterial = null;
+    this.chromeVariants = [];
+    
+    // Rest rotation and head pose offset (keypoints face tracking)
+    this.baseRotation = null;
+    this.headRotation = { x: 0, y: 0, z: 0 };
   }
   
   /**
-   * Create a procedural environment map for chrome reflections
+   * Create the environment map for chrome reflections
+   * Loads config.environmentMap, or paints the procedural studio without one or if it fails
+   * Calling it again (e.g. after a theme change) replaces the previous map
    * @param {THREE.WebGLRenderer} renderer
-   * @returns {THREE.Texture}
+   * @returns {Promise<THREE.Texture>}
    */
-  createEnvMap(renderer) {
+  async createEnvMap(renderer) {
+    const request = ++this.envMapRequest;
+    const { environmentMap } = this.config;
+    let texture = null;
+    
+    if (environmentMap) {
+      try {
+        texture = await this.loadEnvironment(environmentMap);
+      } catch (error) {
+        console.warn('Failed to load environment map, using the studio gradient:', error);
+      }
+    }
+    
+    // A newer call or dispose() came in while the file was loading
+    if (request !== this.envMapRequest) {
+      if (texture) texture.dispose();
+      return this.envMap;
+    }
+    
+    if (!texture) {
+      texture = this.createStudioTexture();
+    }
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    
     const pmremGenerator = new THREE.PMREMGenerator(renderer);
     pmremGenerator.compileEquirectangularShader();
+    const envMap = pmremGenerator.fromEquirectangular(texture).texture;
+    pmremGenerator.dispose();
+    texture.dispose();
     
-    // Create gradient environment for polished chrome look (brighter for more visible reflections)
+    if (this.envMap) {
+      this.envMap.dispose();
+    }
+    this.setEnvMap(envMap);
+    return envMap;
+  }
+  
+  /**
+   * Load an equirectangular .hdr (RGBE) or .exr file
+   * @param {string} path
+   * @returns {Promise<THREE.DataTexture>}
+   */
+  loadEnvironment(path) {
+    const extension = path.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const loader = extension === 'exr' ? new EXRLoader() : new RGBELoader();
+    return loader.loadAsync(path);
+  }
+  
+  /**
+   * Paint the procedural studio: config.environmentColors gradient,
+   * config.environmentLights spots and the horizontal band
+   * @returns {THREE.CanvasTexture}
+   */
+  createStudioTexture() {
+    const size = ENVIRONMENT_SIZE;
     const canvas = document.createElement('canvas');
-    canvas.width = 1024;
-    canvas.height = 1024;
+    canvas.width = size;
+    canvas.height = size;
     const ctx = canvas.getContext('2d');
+    const color = (value, alpha) => toCSSColor({ ...resolveColor(value, this.container), a: alpha });
     
-    // Create vertical gradient - brighter studio environment for more visible chrome
-    const gradient = ctx.createLinearGradient(0, 0, 0, 1024);
-    gradient.addColorStop(0, '#606080');     // Top - bright for strong rim highlights
-    gradient.addColorStop(0.15, '#404060');  // Upper bright zone
-    gradient.addColorStop(0.35, '#202030');  // Upper mid
-    gradient.addColorStop(0.5, '#101018');   // Center dark band (creates the contrast)
-    gradient.addColorStop(0.65, '#202030');  // Lower mid
-    gradient.addColorStop(0.85, '#404060');  // Lower bright zone
-    gradient.addColorStop(1, '#606080');     // Bottom - bright for reflections
+    // Create vertical gradient - bright at top and bottom, dark center band for contrast
+    const gradient = ctx.createLinearGradient(0, 0, 0, size);
+    this.config.environmentColors.forEach((value, index) => {
+      const css = color(value, 1);
+      const offset = ENVIRONMENT_STOPS[index];
+      gradient.addColorStop(offset, css);
+      gradient.addColorStop(1 - offset, css);
+    });
     
     ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, 1024, 1024);
-    
-    // Add strong bright spots for specular highlights (simulates studio lights)
-    // Main key light - top right (very bright)
-    const gradient1 = ctx.createRadialGradient(750, 120, 0, 750, 120, 200);
-    gradient1.addColorStop(0, 'rgba(255, 255, 255, 0.95)');
-    gradient1.addColorStop(0.2, 'rgba(255, 255, 255, 0.6)');
-    gradient1.addColorStop(0.5, 'rgba(200, 210, 255, 0.25)');
-    gradient1.addColorStop(1, 'rgba(0, 0, 0, 0)');
-    ctx.fillStyle = gradient1;
-    ctx.fillRect(0, 0, 1024, 1024);
-    
-    // Secondary fill light - top left
-    const gradient2 = ctx.createRadialGradient(250, 180, 0, 250, 180, 150);
-    gradient2.addColorStop(0, 'rgba(220, 230, 255, 0.7)');
-    gradient2.addColorStop(0.3, 'rgba(180, 195, 230, 0.35)');
-    gradient2.addColorStop(1, 'rgba(0, 0, 0, 0)');
-    ctx.fillStyle = gradient2;
-    ctx.fillRect(0, 0, 1024, 1024);
-    
-    // Bottom fill light (bounced light)
-    const gradient3 = ctx.createRadialGradient(512, 880, 0, 512, 880, 250);
-    gradient3.addColorStop(0, 'rgba(180, 190, 220, 0.5)');
-    gradient3.addColorStop(0.4, 'rgba(140, 150, 180, 0.2)');
-    gradient3.addColorStop(1, 'rgba(0, 0, 0, 0)');
-    ctx.fillStyle = gradient3;
-    ctx.fillRect(0, 0, 1024, 1024);
-    
-    // Add horizontal bright band for that characteristic chrome stripe reflection
-    const bandGradient = ctx.createLinearGradient(0, 400, 0, 600);
-    bandGradient.addColorStop(0, 'rgba(80, 90, 110, 0)');
-    bandGradient.addColorStop(0.4, 'rgba(100, 110, 140, 0.3)');
-    bandGradient.addColorStop(0.5, 'rgba(140, 150, 180, 0.4)');
-    bandGradient.addColorStop(0.6, 'rgba(100, 110, 140, 0.3)');
-    bandGradient.addColorStop(1, 'rgba(80, 90, 110, 0)');
-    ctx.fillStyle = bandGradient;
-    ctx.fillRect(0, 0, 1024, 1024);
-    
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.mapping = THREE.EquirectangularReflectionMapping;
+    ctx.fillRect(0, 0, size, size);
     
-    this.envMap = pmremGenerator.fromEquirectangular(texture).texture;
-    pmremGenerator.dispose();
-    texture.dispose();
+    // Bright spots for specular highlights (simulates studio lights)
+    for (const light of this.config.environmentLights) {
+      const x = light.x * size;
+      const y = light.y * size;
+      const intensity = light.intensity ?? 1;
+      const spot = ctx.createRadialGradient(x, y, 0, x, y, light.radius * size);
+      spot.addColorStop(0, color(light.color, intensity));
+      spot.addColorStop(0.3, color(light.color, intensity * 0.5));
+      spot.addColorStop(1, color(light.color, 0));
+      ctx.fillStyle = spot;
+      ctx.fillRect(0, 0, size, size);
+    }
+    
+    // Horizontal bright band for that characteristic chrome stripe reflection
+    const { environmentBandColor, environmentBandIntensity, environmentBandWidth } = this.config;
+    if (environmentBandIntensity > 0 && environmentBandWidth > 0) {
+      const top = (0.5 - environmentBandWidth / 2) * size;
+      const band = ctx.createLinearGradient(0, top, 0, top + environmentBandWidth * size);
+      band.addColorStop(0, color(environmentBandColor, 0));
+      band.addColorStop(0.4, color(environmentBandColor, environmentBandIntensity * 0.75));
+      band.addColorStop(0.5, color(environmentBandColor, environmentBandIntensity));
+      band.addColorStop(0.6, color(environmentBandColor, environmentBandIntensity * 0.75));
+      band.addColorStop(1, color(environmentBandColor, 0));
+      ctx.fillStyle = band;
+      ctx.fillRect(0, 0, size, size);
+    }
     
-    return this.envMap;
+    return new THREE.CanvasTexture(canvas);
   }
   
   /**
-   * Apply chrome material to loaded model
+   * Point the chrome material and its variants at an environment map
+   * Maps made by another loader are left for that loader to dispose
+   * @param {THREE.Texture} envMap
+   */
+  setEnvMap(envMap) {
+    this.envMap = envMap;
+    
+    if (this.chromeMaterial) {
+      this.chromeMaterial.envMap = envMap;
+      for (const { material } of this.chromeVariants) {
+        material.envMap = envMap;
+      }
+    }
+  }
+  
+  /**
+   * Set up the model's materials from config.materialMode and config.materialOverrides
    * @param {THREE.Object3D} model
    * @param {THREE.Texture} envMap
    */
-  applyChromeMaterial(model, envMap) {
-    // Create the polished dark chrome material using MeshPhysicalMaterial for better reflections
-    this.chromeMaterial = new THREE.MeshPhysicalMaterial({
-      color: 0x222228,           // Dark base with slight warmth
-      metalness: 1.0,            // Full metallic
-      roughness: 0.02,           // Very smooth for mirror-like finish
-      envMap: envMap,
-      envMapIntensity: 2.5,      // Strong reflections
-      clearcoat: 0.3,            // Adds an extra reflective layer
-      clearcoatRoughness: 0.1,   // Smooth clearcoat
-      reflectivity: 1.0,         // Maximum reflectivity
-    });
+  applyMaterials(model, envMap) {
+    const { materialMode, materialOverrides } = this.config;
     
-    model.traverse((child) => {
-      if (child.isMesh) {
-        // Dispose old material
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(mat => mat.dispose());
-          } else {
-            child.material.dispose();
-          }
+    // The polished dark chrome look, MeshPhysicalMaterial for better reflections
+    this.chromeMaterial = new THREE.MeshPhysicalMaterial({ envMap });
+    this.setMaterialParams(this.chromeMaterial, this.config.chromeMaterial);
+    this.chromeVariants = [];
+    
+    // Materials made for an override, shared by every mesh it matches
+    const variants = new Map();
+    const replaced = new Set();
+    const kept = new Set();
+    
+    const resolve = (mesh, material) => {
+      const index = materialOverrides.findIndex(override => matchesOverride(override, mesh, material));
+      const override = materialOverrides[index];
+      const params = override ? getOverrideParams(override) : null;
+      let mode = override && override.mode ? override.mode : materialMode;
+      
+      if (!MATERIAL_MODES.includes(mode)) {
+        console.warn(`Unknown material mode "${mode}", using "${materialMode}"`);
+        mode = materialMode;
+      }
+      
+      if (mode === 'original' && !params) {
+        kept.add(material);
+        return material;
+      }
+      replaced.add(material);
+      
+      if (mode === 'chrome' && !params) {
+        return this.chromeMaterial;
+      }
+      
+      // Chrome variants are shared per override, authored materials are cloned per original
+      const key = mode === 'chrome' ? `${index}` : `${index}:${material.uuid}`;
+      if (!variants.has(key)) {
+        const variant = mode === 'chrome' ? this.chromeMaterial.clone() : material.clone();
+        this.setMaterialParams(variant, params);
+        variants.set(key, variant);
+        
+        if (mode === 'chrome') {
+          this.chromeVariants.push({ material: variant, params });
         }
-        child.material = this.chromeMaterial;
-        child.material.needsUpdate = true;
       }
+      return variants.get(key);
+    };
+    
+    model.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      
+      child.material = Array.isArray(child.material)
+        ? child.material.map(material => resolve(child, material))
+        : resolve(child, child.material);
     });
+    
+    // Free authored materials no mesh uses any more
+    for (const material of replaced) {
+      if (!kept.has(material)) {
+        material.dispose();
+      }
+    }
+  }
+  
+  /**
+   * Copy config values onto a material, colors in any supported format
+   * @param {THREE.Material} material
+   * @param {Object} params - e.g. { color: '#c9a24a', roughness: 0.2 }
+   */
+  setMaterialParams(material, params) {
+    for (const [key, value] of Object.entries(params || {})) {
+      if (!(key in material)) {
+        console.warn(`Unknown material property "${key}" for ${material.type}`);
+        continue;
+      }
+      
+      if (material[key] && material[key].isColor) {
+        material[key].set(colorToNumber(value, this.container));
+      } else if (typeof value !== typeof material[key]) {
+        console.warn(`Material property "${key}" should be a ${typeof material[key]}, got ${JSON.stringify(value)}`);
+      } else {
+        material[key] = value;
+      }
+    }
+    material.needsUpdate = true;
+  }
+  
+  /**
+   * Re-read config.chromeMaterial into the chrome material and its override variants
+   */
+  applyConfig() {
+    if (!this.chromeMaterial) return;
+    
+    this.setMaterialParams(this.chromeMaterial, this.config.chromeMaterial);
+    for (const { material, params } of this.chromeVariants) {
+      material.copy(this.chromeMaterial);
+      this.setMaterialParams(material, params);
+    }
+  }
+  
+  /**
+   * Register decoders for Draco meshes, meshopt buffers and KTX2 textures
+   * Decoder files are only fetched once a model uses the extension
+   * @param {THREE.WebGLRenderer} [renderer] - Needed to pick a KTX2 target format
+   */
+  setupDecoders(renderer) {
+    const { dracoDecoderPath, ktx2TranscoderPath, meshoptDecoder } = this.config;
+    
+    if (dracoDecoderPath && !this.dracoLoader) {
+      this.dracoLoader = new DRACOLoader();
+      this.dracoLoader.setDecoderPath(dracoDecoderPath);
+      this.loader.setDRACOLoader(this.dracoLoader);
+    }
+    
+    if (ktx2TranscoderPath && renderer && !this.ktx2Loader) {
+      this.ktx2Loader = new KTX2Loader();
+      this.ktx2Loader.setTranscoderPath(ktx2TranscoderPath);
+      this.ktx2Loader.detectSupport(renderer);
+      this.loader.setKTX2Loader(this.ktx2Loader);
+    }
+    
+    if (meshoptDecoder) {
+      this.loader.setMeshoptDecoder(MeshoptDecoder);
+    }
+  }
+  
+  /**
+   * Use another loader's decoders instead of starting a second set of workers
+   * The other loader disposes them
+   * @param {ModelLoader} source - Loader that has run setupDecoders()
+   */
+  shareDecoders(source) {
+    this.dracoLoader = source.dracoLoader;
+    this.ktx2Loader = source.ktx2Loader;
+    this.ownsDecoders = false;
+    
+    if (this.dracoLoader) {
+      this.loader.setDRACOLoader(this.dracoLoader);
+    }
+    if (this.ktx2Loader) {
+      this.loader.setKTX2Loader(this.ktx2Loader);
+    }
   }
   
   /**
    * Load a GLTF model or create a placeholder
+   * @param {THREE.WebGLRenderer} [renderer] - Enables KTX2 textures
    * @returns {Promise<THREE.Object3D>}
    */
-  async load() {
+  async load(renderer) {
     const { logoPath, logoScale } = this.config;
     
     // If no path provided, use placeholder
@@ -135,9 +369,12 @@ export class ModelLoader {
       return this.createPlaceholder();
     }
     
+    this.setupDecoders(renderer);
+    
     try {
       const gltf = await this.loadGLTF(logoPath);
       const model = gltf.scene;
+      this.animations = gltf.animations || [];
       
       // Center and scale the model
       this.centerModel(model);
@@ -150,9 +387,11 @@ export class ModelLoader {
       }
       
       this.model = model;
+      this.baseRotation = model.rotation.clone();
       return model;
     } catch (error) {
       console.warn('Failed to load GLTF, using placeholder:', error);
+      this.loadError = error;
       return this.createPlaceholder();
     }
   }
@@ -167,12 +406,16 @@ export class ModelLoader {
       this.loader.load(
         path,
         (gltf) => resolve(gltf),
-        (progress) => {
-          // Optional: emit loading progress
-          const percent = (progress.loaded / progress.total) * 100;
-          if (this.onProgress) {
-            this.onProgress(percent);
-          }
+        (event) => {
+          if (!this.onProgress) return;
+          
+          // total is 0 when the server sends no content-length
+          const total = event.lengthComputable && event.total > 0 ? event.total : null;
+          this.onProgress({
+            loaded: event.loaded,
+            total,
+            progress: total ? Math.min(event.loaded / total, 1) : null
+          });
         },
         (error) => reject(error)
       );
@@ -228,6 +471,7 @@ export class ModelLoader {
     cube.scale.setScalar(this.config.logoScale);
     
     this.model = cube;
+    this.baseRotation = cube.rotation.clone();
     this.isPlaceholder = true;
     
     return cube;
@@ -241,11 +485,36 @@ export class ModelLoader {
   update(deltaTime, time) {
     // Model stays static - no auto-rotation
     // The "window effect" comes from camera movement, not model rotation
+    // Optionally the model follows the viewer's head rotation
+    if (!this.model || !this.baseRotation) return;
+    
+    const influence = this.config.headRotationInfluence;
+    if (!influence) return;
+    
+    const t = 1 - Math.pow(1 - this.config.smoothingFactor, deltaTime / 16.67);
+    const { rotation } = this.model;
+    rotation.x = lerp(rotation.x, this.baseRotation.x + this.headRotation.x * influence, t);
+    rotation.y = lerp(rotation.y, this.baseRotation.y + this.headRotation.y * influence, t);
+    rotation.z = lerp(rotation.z, this.baseRotation.z + this.headRotation.z * influence, t);
+  }
+  
+  /**
+   * Set the viewer's head rotation, mirrored onto the model
+   * scaled by config.headRotationInfluence
+   * @param {number} yaw - Radians, positive = head turned right
+   * @param {number} pitch - Radians, positive = looking up
+   * @param {number} roll - Radians, positive = tilted clockwise
+   */
+  setHeadRotation(yaw, pitch, roll) {
+    // Model faces the viewer, so it turns the same way their head does
+    this.headRotation.x = -pitch;
+    this.headRotation.y = yaw;
+    this.headRotation.z = -roll;
   }
   
   /**
    * Set loading progress callback
-   * @param {Function} callback
+   * @param {Function} callback - Receives { loaded, total, progress }, total and progress are null without a content-length
    */
   setProgressCallback(callback) {
     this.onProgress = callback;
@@ -281,6 +550,17 @@ export class ModelLoader {
         }
       });
     }
+    
+    // Drop an environment map that is still loading
+    this.envMapRequest++;
+    
+    // Stop the decoder workers, unless they belong to another loader
+    if (this.ownsDecoders) {
+      if (this.dracoLoader) this.dracoLoader.dispose();
+      if (this.ktx2Loader) this.ktx2Loader.dispose();
+    }
+    this.dracoLoader = null;
+    this.ktx2Loader = null;
   }
 }
 
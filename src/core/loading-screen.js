@@ -0,0 +1,143 @@
+/**
+ * Loading Screen
+ * Poster shown while the 3D scene loads, faded out once the first frame renders
+ *
+ * The container gets an immersive-loading, immersive-ready or immersive-error class
+ * so pages can style each state. On error the poster stays up.
+ */
+
+import { resolveColor, toCSSColor } from '../utils/color.js';
+
+const STATE_CLASSES = {
+  loading: 'immersive-loading',
+  ready: 'immersive-ready',
+  error: 'immersive-error'
+};
+
+export class LoadingScreen {
+  /**
+   * @param {Object} config
+   * @param {HTMLElement} container - Background container
+   */
+  constructor(config, container) {
+    this.config = config;
+    this.container = container;
+    this.poster = null;
+    this.bar = null;
+    this.state = null;
+    this.removeTimeout = null;
+  }
+
+  /**
+   * @param {string} state - 'loading', 'ready' or 'error'
+   */
+  setState(state) {
+    this.state = state;
+    for (const [name, className] of Object.entries(STATE_CLASSES)) {
+      this.container.classList.toggle(className, name === state);
+    }
+  }
+
+  /**
+   * Cover the container with the poster
+   */
+  show() {
+    this.setState('loading');
+    if (this.poster) return;
+
+    const { posterImage } = this.config;
+    const background = toCSSColor(resolveColor(this.config.backgroundColor, this.container));
+
+    this.poster = document.createElement('div');
+    this.poster.className = 'immersive-poster';
+    this.poster.setAttribute('aria-hidden', 'true');
+    this.poster.style.cssText = `
+      position: absolute;
+      inset: 0;
+      background: ${background} ${posterImage ? `url("${encodeURI(posterImage)}") center / cover no-repeat` : ''};
+      transition: opacity ${this.config.fadeInDuration}ms ease;
+      pointer-events: none;
+      z-index: 1;
+    `;
+
+    if (this.config.showLoadingProgress) {
+      this.bar = document.createElement('div');
+      this.bar.className = 'immersive-poster__progress';
+      this.bar.style.cssText = `
+        position: absolute;
+        left: 0;
+        bottom: 0;
+        height: 2px;
+        width: 0;
+        background: rgba(255, 255, 255, 0.5);
+        transition: width 0.2s ease, opacity 0.3s ease;
+        opacity: 0;
+      `;
+      this.poster.appendChild(this.bar);
+    }
+
+    this.container.appendChild(this.poster);
+  }
+
+  /**
+   * @param {number|null} progress - 0-1, null when the size is unknown
+   */
+  setProgress(progress) {
+    if (!this.bar) return;
+
+    this.bar.style.opacity = progress === null ? '0' : '1';
+    if (progress !== null) {
+      this.bar.style.width = `${Math.round(progress * 100)}%`;
+    }
+  }
+
+  /**
+   * Fade the canvas in and the poster out
+   * @param {HTMLCanvasElement} canvas
+   */
+  reveal(canvas) {
+    this.setState('ready');
+    canvas.style.opacity = '1';
+
+    if (!this.poster) return;
+
+    this.poster.style.opacity = '0';
+    this.removeTimeout = setTimeout(() => this.removePoster(), this.config.fadeInDuration);
+  }
+
+  /**
+   * Keep the poster up, the scene could not be shown
+   */
+  fail() {
+    this.show();
+    this.setState('error');
+    this.setProgress(null);
+  }
+
+  removePoster() {
+    if (this.removeTimeout) {
+      clearTimeout(this.removeTimeout);
+      this.removeTimeout = null;
+    }
+
+    if (this.poster && this.poster.parentNode) {
+      this.poster.parentNode.removeChild(this.poster);
+    }
+    this.poster = null;
+    this.bar = null;
+  }
+
+  /**
+   * Remove the poster and state classes
+   * @param {boolean} [keepPoster] - Leave a failed poster in place
+   */
+  dispose(keepPoster = false) {
+    if (keepPoster && this.state === 'error') return;
+
+    this.removePoster();
+    for (const className of Object.values(STATE_CLASSES)) {
+      this.container.classList.remove(className);
+    }
+    this.state = null;
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Model Animator
+ * Plays the GLTF's animation clips through a THREE.AnimationMixer
+ *
+ * Clips can autoplay, crossfade when triggered by tracking events
+ * (config.animationTriggers), follow page scroll (config.animationScrollClip)
+ * or be played from the API. One-shot clips fade back to the looping clip
+ * that was playing before them.
+ */
+
+import * as THREE from 'three';
+import { EventEmitter } from '../utils/events.js';
+import { expDecay, frameFactorToDecay } from '../utils/math.js';
+import { TRACKING_STATE } from '../tracking/recovery.js';
+
+const LOOP_MODES = {
+  repeat: THREE.LoopRepeat,
+  once: THREE.LoopOnce,
+  pingpong: THREE.LoopPingPong
+};
+
+// 'approach' and 'retreat' come from the viewer's distance, the rest are recovery states
+const ANIMATION_TRIGGERS = ['approach', 'retreat', ...Object.values(TRACKING_STATE)];
+
+// How far back past animationApproachDistance the viewer moves before 'retreat'
+const APPROACH_HYSTERESIS = 0.1;
+
+export class ModelAnimator extends EventEmitter {
+  /**
+   * @param {THREE.Object3D} model
+   * @param {THREE.AnimationClip[]} clips - gltf.animations
+   * @param {Object} config
+   */
+  constructor(model, clips, config) {
+    super();
+    this.model = model;
+    this.clips = clips;
+    this.config = config;
+    this.mixer = new THREE.AnimationMixer(model);
+
+    this.current = null;
+    // Looping clip to return to after a one-shot clip, { name, options }
+    this.base = null;
+
+    this.scrubAction = null;
+    this.scrollProgress = 0;
+    this.targetScrollProgress = 0;
+    this.approached = false;
+
+    this.handleFinished = this.handleFinished.bind(this);
+    this.mixer.addEventListener('finished', this.handleFinished);
+
+    this.checkTriggers();
+    this.setupScrollClip();
+  }
+
+  /**
+   * @returns {string[]} Clip names in the model
+   */
+  getClipNames() {
+    return this.clips.map(clip => clip.name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasClip(name) {
+    return THREE.AnimationClip.findByName(this.clips, name) !== null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {THREE.AnimationClip|null}
+   */
+  getClip(name) {
+    const clip = THREE.AnimationClip.findByName(this.clips, name);
+    if (!clip) {
+      const available = this.clips.length > 0 ? this.getClipNames().join(', ') : 'none';
+      console.warn(`Unknown animation clip "${name}", available: ${available}`);
+      return null;
+    }
+    return clip;
+  }
+
+  /**
+   * Warn about triggers listening for events that never happen
+   */
+  checkTriggers() {
+    for (const trigger of this.config.animationTriggers) {
+      if (!ANIMATION_TRIGGERS.includes(trigger.on)) {
+        console.warn(`Unknown animation trigger "${trigger.on}", expected one of ${ANIMATION_TRIGGERS.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Start config.animationClip, or the first clip, when autoplay is on
+   * Call once 'start' listeners are attached
+   */
+  autoplay() {
+    if (!this.config.animationAutoplay || this.clips.length === 0) return;
+    this.play(this.config.animationClip || this.clips[0].name, { fadeTime: 0 });
+  }
+
+  /**
+   * Crossfade to a clip
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {string} [options.loop] - 'repeat', 'once' or 'pingpong', defaults to config.animationLoop
+   * @param {number} [options.fadeTime] - ms, defaults to config.animationFadeTime
+   * @param {number} [options.timeScale] - Playback speed, defaults to config.animationTimeScale
+   * @returns {boolean} False if the clip does not exist
+   */
+  play(name, options = {}) {
+    const clip = this.getClip(name);
+    if (!clip) return false;
+
+    const loop = options.loop || this.config.animationLoop;
+    const fadeTime = (options.fadeTime ?? this.config.animationFadeTime) / 1000;
+    const action = this.mixer.clipAction(clip);
+
+    // Already playing, leave it running rather than restarting
+    if (action === this.current && action.isRunning()) return true;
+
+    action.reset();
+    action.setLoop(LOOP_MODES[loop] ?? THREE.LoopRepeat, Infinity);
+    action.clampWhenFinished = loop === 'once';
+    action.timeScale = options.timeScale ?? this.config.animationTimeScale;
+    action.play();
+
+    if (this.current && this.current !== action) {
+      if (fadeTime > 0) {
+        action.crossFadeFrom(this.current, fadeTime, false);
+      } else {
+        this.current.stop();
+      }
+    } else if (fadeTime > 0) {
+      action.fadeIn(fadeTime);
+    }
+
+    this.current = action;
+    if (loop !== 'once') {
+      this.base = { name, options };
+    }
+
+    this.emit('start', clip.name);
+    return true;
+  }
+
+  /**
+   * Fade out the playing clip, the scroll clip keeps following the page
+   * @param {number} [fadeTime] - ms, defaults to config.animationFadeTime
+   */
+  stop(fadeTime = this.config.animationFadeTime) {
+    if (this.current) {
+      if (fadeTime > 0) {
+        this.current.fadeOut(fadeTime / 1000);
+      } else {
+        this.current.stop();
+      }
+    }
+    this.current = null;
+    this.base = null;
+  }
+
+  /**
+   * @param {Object} event - Mixer 'finished' event
+   */
+  handleFinished(event) {
+    if (event.action === this.scrubAction) return;
+
+    this.emit('end', event.action.getClip().name);
+
+    // One-shot clips hand back to the loop that was playing before
+    if (event.action === this.current && this.base) {
+      this.play(this.base.name, this.base.options);
+    }
+  }
+
+  /**
+   * Play the clips of every trigger listening for an event
+   * @param {string} event - 'approach', 'retreat' or a tracking state
+   */
+  trigger(event) {
+    for (const trigger of this.config.animationTriggers) {
+      if (trigger.on === event && trigger.clip) {
+        this.play(trigger.clip, trigger);
+      }
+    }
+  }
+
+  /**
+   * Feed the viewer's Z offset, negative when they lean in
+   * Fires 'approach' past config.animationApproachDistance and 'retreat' once they move back
+   * @param {number} z - Tracking offset, -1 to 1
+   */
+  setViewerOffset(z) {
+    const distance = this.config.animationApproachDistance;
+
+    if (!this.approached && z <= -distance) {
+      this.approached = true;
+      this.trigger('approach');
+    } else if (this.approached && z > -distance + APPROACH_HYSTERESIS) {
+      this.approached = false;
+      this.trigger('retreat');
+    }
+  }
+
+  /**
+   * Hold config.animationScrollClip, its time is then set from scroll progress
+   */
+  setupScrollClip() {
+    if (this.scrubAction) {
+      this.scrubAction.stop();
+      this.scrubAction = null;
+    }
+
+    const name = this.config.animationScrollClip;
+    if (!name) return;
+
+    const clip = this.getClip(name);
+    if (!clip) return;
+
+    this.scrubAction = this.mixer.clipAction(clip);
+    this.scrubAction.setLoop(THREE.LoopOnce, 1);
+    this.scrubAction.clampWhenFinished = true;
+    this.scrubAction.play();
+    this.scrubAction.paused = true;
+  }
+
+  /**
+   * @param {number} progress - Page scroll, 0-1
+   */
+  setScrollProgress(progress) {
+    this.targetScrollProgress = progress;
+  }
+
+  /**
+   * Advance the mixer, call once per frame
+   * @param {number} deltaTime - ms
+   */
+  update(deltaTime) {
+    if (this.scrubAction) {
+      this.scrollProgress = expDecay(
+        this.scrollProgress,
+        this.targetScrollProgress,
+        frameFactorToDecay(this.config.scrollTimelineSmoothing),
+        deltaTime
+      );
+      this.scrubAction.time = this.scrollProgress * this.scrubAction.getClip().duration;
+    }
+
+    this.mixer.update(deltaTime / 1000);
+  }
+
+  /**
+   * Re-read config after setConfig()
+   * @param {string[]} changed - Config keys that changed
+   */
+  applyConfig(changed) {
+    const has = (...keys) => keys.some(key => changed.includes(key));
+
+    if (has('animationTriggers')) {
+      this.checkTriggers();
+    }
+
+    if (has('animationScrollClip')) {
+      this.setupScrollClip();
+    }
+
+    if (has('animationAutoplay', 'animationClip', 'animationLoop')) {
+      this.stop(0);
+      this.autoplay();
+    }
+
+    if (has('animationTimeScale') && this.current) {
+      this.current.timeScale = this.config.animationTimeScale;
+    }
+  }
+
+  /**
+   * Stop every clip and release the mixer's cached bindings
+   */
+  dispose() {
+    this.mixer.removeEventListener('finished', this.handleFinished);
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.model);
+    this.current = null;
+    this.base = null;
+    this.scrubAction = null;
+    this.removeAllListeners();
+  }
+}
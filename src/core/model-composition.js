@@ -0,0 +1,376 @@
+/**
+ * Model Composition
+ * Loads config.models into one group, each model with its own transform,
+ * materials, parallax depth and animation clips
+ *
+ * Without config.models the composition is the single logo from config.logoPath.
+ * Entry options not given fall back to the top-level config, except the animation
+ * options that name clips, those belong to one model.
+ */
+
+import * as THREE from 'three';
+import { ModelLoader } from './loader.js';
+import { ModelAnimator } from './model-animator.js';
+import { EventEmitter } from '../utils/events.js';
+import { expDecay, frameFactorToDecay } from '../utils/math.js';
+
+// Entry option -> config key read by ModelLoader
+const ENTRY_KEYS = {
+  path: 'logoPath',
+  scale: 'logoScale',
+  rotation: 'logoRotation',
+  materialMode: 'materialMode',
+  chromeMaterial: 'chromeMaterial',
+  materialOverrides: 'materialOverrides'
+};
+
+// entry.animation option -> config key read by ModelAnimator
+const ANIMATION_KEYS = {
+  autoplay: 'animationAutoplay',
+  clip: 'animationClip',
+  loop: 'animationLoop',
+  fadeTime: 'animationFadeTime',
+  timeScale: 'animationTimeScale',
+  scrollClip: 'animationScrollClip',
+  triggers: 'animationTriggers'
+};
+
+// Entry options used by the composition itself
+const LAYOUT_KEYS = ['name', 'position', 'parallax', 'animation'];
+
+/**
+ * Config for one entry, reading through to the live config for anything it does not set
+ * @param {Object} config
+ * @param {Object} entry - config.models item
+ * @returns {Object}
+ */
+function createEntryConfig(config, entry) {
+  const entryConfig = Object.create(config);
+
+  // Clip names from the top-level config belong to the logo
+  entryConfig.animationClip = null;
+  entryConfig.animationScrollClip = null;
+  entryConfig.animationTriggers = [];
+
+  for (const [key, value] of Object.entries(entry)) {
+    if (ENTRY_KEYS[key]) {
+      entryConfig[ENTRY_KEYS[key]] = value;
+    } else if (!LAYOUT_KEYS.includes(key)) {
+      console.warn(`Unknown model option "${key}", expected one of ${[...Object.keys(ENTRY_KEYS), ...LAYOUT_KEYS].join(', ')}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(entry.animation || {})) {
+    if (ANIMATION_KEYS[key]) {
+      entryConfig[ANIMATION_KEYS[key]] = value;
+    } else {
+      console.warn(`Unknown model animation option "${key}", expected one of ${Object.keys(ANIMATION_KEYS).join(', ')}`);
+    }
+  }
+
+  return entryConfig;
+}
+
+export class ModelComposition extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {HTMLElement} [container] - Where var() colors are read
+   */
+  constructor(config, container) {
+    super();
+    this.config = config;
+    this.container = container;
+
+    // Moved as a whole by scroll choreography
+    this.group = new THREE.Group();
+    // { name, config, loader, animator, group, position, parallax }
+    this.models = [];
+    this.envMap = null;
+
+    this.targetOffset = { x: 0, y: 0 };
+    this.currentOffset = { x: 0, y: 0 };
+  }
+
+  /**
+   * Models to load, the logo alone when config.models is empty
+   * @returns {Object[]} { name, config, position, parallax }
+   */
+  getEntries() {
+    const { models } = this.config;
+    if (!models || models.length === 0) {
+      return [{ name: 'logo', config: this.config, position: null, parallax: 0 }];
+    }
+
+    return models.map((entry, index) => ({
+      name: entry.name || `model-${index}`,
+      config: createEntryConfig(this.config, entry),
+      position: entry.position || null,
+      parallax: entry.parallax || 0
+    }));
+  }
+
+  /**
+   * Load every model, failed ones become the placeholder cube
+   * Emits 'progress' with { loaded, total, progress } summed over all models
+   * @param {THREE.WebGLRenderer} renderer
+   * @returns {Promise<void>}
+   */
+  async load(renderer) {
+    const entries = this.getEntries();
+
+    // Models without a path never report, they count as already loaded
+    const progress = entries.map(({ config }) => ({ loaded: 0, total: config.logoPath ? null : 0 }));
+
+    for (const [index, entry] of entries.entries()) {
+      const loader = new ModelLoader(entry.config, this.container);
+
+      // One set of decoder workers for every model
+      if (index === 0) {
+        loader.setupDecoders(renderer);
+      } else {
+        loader.shareDecoders(this.models[0].loader);
+      }
+
+      loader.setProgressCallback((event) => {
+        progress[index] = event;
+        this.reportProgress(progress);
+      });
+
+      const group = new THREE.Group();
+      if (entry.position) {
+        group.position.set(entry.position.x || 0, entry.position.y || 0, entry.position.z || 0);
+      }
+      this.group.add(group);
+
+      this.models.push({ ...entry, loader, group, animator: null });
+    }
+
+    const loaded = await Promise.all(this.models.map(({ loader }) => loader.load(renderer)));
+    loaded.forEach((model, index) => this.models[index].group.add(model));
+  }
+
+  /**
+   * @param {Object[]} progress - Last { loaded, total } of each model
+   */
+  reportProgress(progress) {
+    const loaded = progress.reduce((sum, item) => sum + item.loaded, 0);
+    const total = progress.every(item => item.total !== null)
+      ? progress.reduce((sum, item) => sum + item.total, 0)
+      : null;
+
+    this.emit('progress', {
+      loaded,
+      total,
+      progress: total ? Math.min(loaded / total, 1) : null
+    });
+  }
+
+  /**
+   * First load error, null if every model loaded
+   * @returns {Error|null}
+   */
+  get loadError() {
+    const failed = this.models.find(({ loader }) => loader.loadError);
+    return failed ? failed.loader.loadError : null;
+  }
+
+  /**
+   * Create the shared environment map, or replace it after the environment config changes
+   * @param {THREE.WebGLRenderer} renderer
+   * @returns {Promise<THREE.Texture>}
+   */
+  async createEnvMap(renderer) {
+    const [primary, ...rest] = this.models;
+    this.envMap = await primary.loader.createEnvMap(renderer);
+
+    for (const { loader } of rest) {
+      loader.setEnvMap(this.envMap);
+    }
+    return this.envMap;
+  }
+
+  /**
+   * Set up each model's materials from its materialMode and overrides
+   */
+  applyMaterials() {
+    for (const { loader } of this.models) {
+      loader.applyMaterials(loader.getModel(), this.envMap);
+    }
+  }
+
+  /**
+   * Create each model's animator and autoplay its clip
+   * Call once 'start' listeners are attached, events carry the clip and model name
+   */
+  setupAnimations() {
+    for (const model of this.models) {
+      model.animator = new ModelAnimator(model.loader.getModel(), model.loader.animations, model.config);
+      model.animator.on('start', (clip) => this.emit('start', clip, model.name));
+      model.animator.on('end', (clip) => this.emit('end', clip, model.name));
+      model.animator.autoplay();
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} Entry from this.models
+   */
+  getModel(name) {
+    const model = this.models.find(item => item.name === name);
+    if (!model) {
+      console.warn(`Unknown model "${name}", available: ${this.models.map(item => item.name).join(', ')}`);
+      return null;
+    }
+    return model;
+  }
+
+  /**
+   * @returns {string[]} Clip names across all models
+   */
+  getClipNames() {
+    const names = this.models.flatMap(({ animator }) => animator ? animator.getClipNames() : []);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Crossfade to a clip on every model that has it, or on options.model only
+   * @param {string} name
+   * @param {Object} [options] - ModelAnimator.play() options, plus model: a model name
+   * @returns {boolean} False if no model has the clip
+   */
+  play(name, options = {}) {
+    if (options.model !== undefined) {
+      const model = this.getModel(options.model);
+      return model && model.animator ? model.animator.play(name, options) : false;
+    }
+
+    const targets = this.models.filter(({ animator }) => animator && animator.hasClip(name));
+    if (targets.length === 0) {
+      const names = this.getClipNames();
+      console.warn(`Unknown animation clip "${name}", available: ${names.length > 0 ? names.join(', ') : 'none'}`);
+      return false;
+    }
+
+    for (const { animator } of targets) {
+      animator.play(name, options);
+    }
+    return true;
+  }
+
+  /**
+   * Fade out the playing clip of every model
+   * @param {number} [fadeTime] - ms, defaults to config.animationFadeTime
+   */
+  stop(fadeTime) {
+    for (const { animator } of this.models) {
+      if (animator) animator.stop(fadeTime);
+    }
+  }
+
+  /**
+   * @param {string} event - 'approach', 'retreat' or a tracking state
+   */
+  trigger(event) {
+    for (const { animator } of this.models) {
+      if (animator) animator.trigger(event);
+    }
+  }
+
+  /**
+   * @param {number} z - Tracking offset, -1 to 1
+   */
+  setViewerOffset(z) {
+    for (const { animator } of this.models) {
+      if (animator) animator.setViewerOffset(z);
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether any model follows page scroll
+   */
+  hasScrollClip() {
+    return this.models.some(({ config }) => config.animationScrollClip);
+  }
+
+  /**
+   * @param {number} progress - Page scroll, 0-1
+   */
+  setScrollProgress(progress) {
+    for (const { animator } of this.models) {
+      if (animator) animator.setScrollProgress(progress);
+    }
+  }
+
+  /**
+   * @param {number} yaw - Radians
+   * @param {number} pitch - Radians
+   * @param {number} roll - Radians
+   */
+  setHeadRotation(yaw, pitch, roll) {
+    for (const { loader } of this.models) {
+      loader.setHeadRotation(yaw, pitch, roll);
+    }
+  }
+
+  /**
+   * Tracking offset, each model shifts by it times its parallax
+   * @param {number} x
+   * @param {number} y
+   */
+  setParallaxOffset(x, y) {
+    this.targetOffset.x = x;
+    this.targetOffset.y = y;
+  }
+
+  /**
+   * Advance animations, head rotation and parallax, call once per frame
+   * @param {number} deltaTime - ms
+   * @param {number} time - Total elapsed time
+   */
+  update(deltaTime, time) {
+    const decay = frameFactorToDecay(this.config.smoothingFactor);
+    this.currentOffset.x = expDecay(this.currentOffset.x, this.targetOffset.x, decay, deltaTime);
+    this.currentOffset.y = expDecay(this.currentOffset.y, this.targetOffset.y, decay, deltaTime);
+
+    for (const { loader, animator, group, position, parallax } of this.models) {
+      if (parallax) {
+        group.position.x = (position ? position.x || 0 : 0) + this.currentOffset.x * parallax;
+        group.position.y = (position ? position.y || 0 : 0) + this.currentOffset.y * parallax;
+      }
+
+      if (animator) animator.update(deltaTime);
+      loader.update(deltaTime, time);
+    }
+  }
+
+  /**
+   * Re-read config after setConfig()
+   * @param {string[]} changed - Config keys that changed
+   */
+  applyConfig(changed) {
+    if (changed.some(key => key.startsWith('animation'))) {
+      for (const { animator } of this.models) {
+        if (animator) animator.applyConfig(changed);
+      }
+    }
+
+    if (changed.includes('chromeMaterial')) {
+      for (const { loader } of this.models) {
+        loader.applyConfig();
+      }
+    }
+  }
+
+  /**
+   * Dispose every model and the shared decoders
+   */
+  dispose() {
+    for (const { loader, animator } of this.models) {
+      if (animator) animator.dispose();
+      loader.dispose();
+    }
+    this.models = [];
+    this.group.clear();
+    this.removeAllListeners();
+  }
+}
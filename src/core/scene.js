@@ -5,15 +5,29 @@
 
 import * as THREE from 'three';
 import { ParallaxLayers } from '../background/parallax-layers.js';
+import { colorToNumber } from '../utils/color.js';
+
+// Config keys handled by setLights()
+export const LIGHT_CONFIG_KEYS = [
+  'ambientLightColor', 'ambientLightIntensity',
+  'mainLightColor', 'mainLightIntensity', 'mainLightPosition',
+  'rimLightColor', 'rimLightIntensity', 'rimLightPosition'
+];
 
 export class SceneManager {
-  constructor(config) {
+  /**
+   * @param {Object} config
+   * @param {HTMLElement} [container] - Where var() colors are read
+   */
+  constructor(config, container) {
     this.config = config;
+    this.container = container;
     this.scene = new THREE.Scene();
     this.particles = null;
     this.particlePositions = null;
     this.particleVelocities = null;
     this.parallaxLayers = null;
+    this.grid = null;
     this.elapsedTime = 0;
     
     this.setupScene();
@@ -34,15 +48,25 @@ export class SceneManager {
   }
   
   setupParallaxLayers() {
-    this.parallaxLayers = new ParallaxLayers(this.config);
+    this.parallaxLayers = new ParallaxLayers(this.config, this.container);
     this.scene.add(this.parallaxLayers.getGroup());
   }
   
   setupScene() {
-    this.scene.background = new THREE.Color(this.config.backgroundColor);
+    const background = this.readColor(this.config.backgroundColor);
+    this.scene.background = new THREE.Color(background);
     
     // Add subtle fog for depth
-    this.scene.fog = new THREE.FogExp2(this.config.backgroundColor, 0.015);
+    this.scene.fog = new THREE.FogExp2(background, 0.015);
+  }
+  
+  /**
+   * Config color in any supported format as 0xRRGGBB
+   * @param {number|string|THREE.Color} value
+   * @returns {number}
+   */
+  readColor(value) {
+    return value instanceof THREE.Color ? value.getHex() : colorToNumber(value, this.container);
   }
   
   /**
@@ -58,14 +82,14 @@ export class SceneManager {
     
     // Ambient light for base visibility
     const ambient = new THREE.AmbientLight(
-      config.ambientLightColor,
+      this.readColor(config.ambientLightColor),
       config.ambientLightIntensity
     );
     this.scene.add(ambient);
     
     // Main directional light
     const mainLight = new THREE.DirectionalLight(
-      config.mainLightColor,
+      this.readColor(config.mainLightColor),
       config.mainLightIntensity
     );
     mainLight.position.set(
@@ -78,7 +102,7 @@ export class SceneManager {
     
     // Rim light for that premium tech feel
     const rimLight = new THREE.PointLight(
-      config.rimLightColor,
+      this.readColor(config.rimLightColor),
       config.rimLightIntensity,
       20
     );
@@ -93,6 +117,35 @@ export class SceneManager {
     const fillLight = new THREE.DirectionalLight(0x404080, 0.3);
     fillLight.position.set(0, -3, 2);
     this.scene.add(fillLight);
+    
+    this.lights = { ambient, main: mainLight, rim: rimLight, fill: fillLight };
+  }
+  
+  /**
+   * Change light settings, using the same keys as the lighting config
+   * (ambientLightIntensity, mainLightColor, rimLightPosition...)
+   * @param {Object} settings
+   */
+  setLights(settings) {
+    if (!this.lights) return;
+    
+    const targets = {
+      ambientLight: this.lights.ambient,
+      mainLight: this.lights.main,
+      rimLight: this.lights.rim
+    };
+    
+    for (const [name, light] of Object.entries(targets)) {
+      const color = settings[`${name}Color`];
+      const intensity = settings[`${name}Intensity`];
+      const position = settings[`${name}Position`];
+      
+      if (color !== undefined) light.color.set(this.readColor(color));
+      if (intensity !== undefined) light.intensity = intensity;
+      if (position !== undefined && light.position) {
+        light.position.set(position.x, position.y, position.z);
+      }
+    }
   }
   
   setupGrid() {
@@ -102,8 +155,8 @@ export class SceneManager {
     const grid = new THREE.GridHelper(
       config.gridSize,
       config.gridDivisions,
-      config.gridCenterColor,
-      config.gridColor
+      this.readColor(config.gridCenterColor),
+      this.readColor(config.gridColor)
     );
     
     // Position below the center
@@ -112,9 +165,9 @@ export class SceneManager {
     // Make grid fade at edges using custom shader material
     const gridMaterial = new THREE.ShaderMaterial({
       uniforms: {
-        color1: { value: new THREE.Color(config.gridColor) },
-        color2: { value: new THREE.Color(config.gridCenterColor) },
-        fogColor: { value: new THREE.Color(config.backgroundColor) },
+        color1: { value: new THREE.Color(this.readColor(config.gridColor)) },
+        color2: { value: new THREE.Color(this.readColor(config.gridCenterColor)) },
+        fogColor: { value: new THREE.Color(this.readColor(config.backgroundColor)) },
         fogDensity: { value: 0.025 }
       },
       vertexShader: `
@@ -165,6 +218,7 @@ export class SceneManager {
     const customGrid = new THREE.LineSegments(gridGeometry, gridMaterial);
     customGrid.position.y = -2;
     this.scene.add(customGrid);
+    this.grid = customGrid;
   }
   
   setupParticles() {
@@ -205,7 +259,7 @@ export class SceneManager {
     // Particle material with glow effect
     const material = new THREE.ShaderMaterial({
       uniforms: {
-        color: { value: new THREE.Color(config.particleColor) },
+        color: { value: new THREE.Color(this.readColor(config.particleColor)) },
         pointSize: { value: config.particleSize * 100 }
       },
       vertexShader: `
@@ -248,6 +302,33 @@ export class SceneManager {
     this.scene.add(this.particles);
   }
   
+  /**
+   * Re-read lights, colors and shader params from config
+   */
+  applyConfig() {
+    const { config } = this;
+    
+    const background = this.readColor(config.backgroundColor);
+    this.scene.background.set(background);
+    this.scene.fog.color.set(background);
+    this.setLights(config);
+    
+    if (this.grid) {
+      const uniforms = this.grid.material.uniforms;
+      uniforms.color1.value.set(this.readColor(config.gridColor));
+      uniforms.color2.value.set(this.readColor(config.gridCenterColor));
+      uniforms.fogColor.value.set(background);
+    }
+    
+    if (this.particles) {
+      this.particles.material.uniforms.color.value.set(this.readColor(config.particleColor));
+    }
+    
+    if (this.parallaxLayers) {
+      this.parallaxLayers.applyConfig();
+    }
+  }
+  
   /**
    * Set parallax offset from tracking
    * @param {number} x - X offset
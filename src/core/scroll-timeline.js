@@ -0,0 +1,253 @@
+/**
+ * Scroll Timeline
+ * Maps page scroll progress to camera poses, model transforms and light settings
+ *
+ * Each stop sets any of:
+ * {
+ *   at: 0.5 | '#features',             // scroll progress 0-1, or a section reaching the top of the viewport
+ *   easing: 'easeInOut',               // shapes the segment that starts at this stop
+ *   camera: { position: {x, y, z}, lookAt: {x, y, z} },
+ *   model: { position: {x, y, z}, rotation: {x, y, z}, scale: 1 },  // rotation in degrees
+ *   lights: { mainLightIntensity: 4, rimLightColor: '#ff3366' }     // same keys as the lighting config
+ * }
+ *
+ * Values a stop leaves out carry over from the stop before it, the first stop
+ * starts from the configured scene. Head tracking still moves the camera on top.
+ */
+
+import * as THREE from 'three';
+import { clamp, lerp, degToRad, expDecay, frameFactorToDecay } from '../utils/math.js';
+import { getEasing } from '../utils/easing.js';
+import { colorToNumber } from '../utils/color.js';
+import { LIGHT_CONFIG_KEYS } from './scene.js';
+
+/**
+ * Scene as configured, before any stop changes it
+ * @param {Object} config
+ * @returns {Object}
+ */
+function createRestPose(config) {
+  const lights = {};
+  for (const key of LIGHT_CONFIG_KEYS) {
+    lights[key] = config[key];
+  }
+
+  return {
+    camera: {
+      position: { x: 0, y: 0, z: config.cameraDistance },
+      lookAt: { x: 0, y: 0, z: 0 }
+    },
+    model: {
+      position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: 1
+    },
+    lights
+  };
+}
+
+/**
+ * Copy a pose, replacing whatever the stop sets
+ * @param {Object} base
+ * @param {Object} changes
+ * @returns {Object}
+ */
+function mergePose(base, changes) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (value === undefined) continue;
+
+    const isGroup = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof THREE.Color);
+    result[key] = isGroup && base[key] && typeof base[key] === 'object'
+      ? mergePose(base[key], value)
+      : value;
+  }
+
+  return result;
+}
+
+/**
+ * Interpolate two poses, colors blend by their '...Color' key
+ * @param {Object} from
+ * @param {Object} to
+ * @param {number} t
+ * @param {Element} [element] - Where var() colors are read
+ * @returns {Object}
+ */
+function mixPose(from, to, t, element) {
+  const result = {};
+
+  for (const key of Object.keys(to)) {
+    const a = from[key];
+    const b = to[key];
+
+    if (typeof a === 'number' && typeof b === 'number' && !key.endsWith('Color')) {
+      result[key] = lerp(a, b, t);
+    } else if (key.endsWith('Color') && a !== undefined && b !== undefined) {
+      result[key] = new THREE.Color(colorToNumber(a, element)).lerp(new THREE.Color(colorToNumber(b, element)), t);
+    } else if (a && b && typeof a === 'object' && typeof b === 'object') {
+      result[key] = mixPose(a, b, t, element);
+    } else {
+      result[key] = t < 1 ? a : b;
+    }
+  }
+
+  return result;
+}
+
+export class ScrollTimeline {
+  /**
+   * @param {Object} config
+   * @param {Object} targets
+   * @param {CameraController} targets.camera
+   * @param {THREE.Object3D} targets.model - Wrapper around the model, its own transform is left alone
+   * @param {SceneManager} targets.scene
+   */
+  constructor(config, targets) {
+    this.config = config;
+    this.targets = targets;
+
+    this.stops = [];
+    this.resolved = [];
+    this.progress = 0;
+    this.targetProgress = 0;
+
+    this.setStops(config.scrollTimeline);
+  }
+
+  /**
+   * Replace the timeline
+   * @param {Object[]} stops
+   */
+  setStops(stops) {
+    this.stops = Array.isArray(stops) ? stops : [];
+    this.refresh();
+
+    // Start where the page is, not at the top
+    this.progress = this.targetProgress = this.getScrollProgress();
+
+    // An emptied timeline puts the scene back as configured
+    if (this.stops.length === 0) {
+      this.apply(createRestPose(this.config));
+    }
+  }
+
+  /**
+   * Work out stop positions and full poses
+   * Call when the page layout changes, as section offsets move with it
+   */
+  refresh() {
+    const placed = this.stops
+      .map(stop => ({ stop, at: this.resolveAt(stop.at) }))
+      .filter(entry => entry.at !== null)
+      .sort((a, b) => a.at - b.at);
+
+    let pose = createRestPose(this.config);
+
+    this.resolved = placed.map(({ stop, at }) => {
+      pose = mergePose(pose, { camera: stop.camera, model: stop.model, lights: stop.lights });
+      return { at, easing: stop.easing, pose };
+    });
+  }
+
+  /**
+   * @param {number|string} at - Progress, or a selector for a section of the page
+   * @returns {number|null}
+   */
+  resolveAt(at) {
+    if (typeof at === 'number') {
+      return clamp(at, 0, 1);
+    }
+
+    const element = typeof at === 'string' ? document.querySelector(at) : null;
+    if (!element) {
+      console.warn(`Scroll timeline stop "${at}" not found, skipping it`);
+      return null;
+    }
+
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const top = element.getBoundingClientRect().top + window.scrollY;
+    return scrollable > 0 ? clamp(top / scrollable, 0, 1) : 0;
+  }
+
+  /**
+   * @returns {number} 0 at the top of the page, 1 at the bottom
+   */
+  getScrollProgress() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return scrollable > 0 ? clamp(window.scrollY / scrollable, 0, 1) : 0;
+  }
+
+  /**
+   * Pose at a scroll progress
+   * @param {number} progress
+   * @returns {Object}
+   */
+  sample(progress) {
+    const stops = this.resolved;
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+
+    if (progress <= first.at) return first.pose;
+    if (progress >= last.at) return last.pose;
+
+    let index = 0;
+    while (stops[index + 1].at < progress) {
+      index++;
+    }
+
+    const from = stops[index];
+    const to = stops[index + 1];
+    const span = to.at - from.at;
+    const t = getEasing(from.easing)(span > 0 ? (progress - from.at) / span : 1);
+
+    return mixPose(from.pose, to.pose, t, this.targets.scene.container);
+  }
+
+  /**
+   * Follow the scroll position, call once per frame
+   * @param {number} deltaTime - ms
+   */
+  update(deltaTime) {
+    if (this.resolved.length === 0) return;
+
+    this.targetProgress = this.getScrollProgress();
+    this.progress = expDecay(
+      this.progress,
+      this.targetProgress,
+      frameFactorToDecay(this.config.scrollTimelineSmoothing),
+      deltaTime
+    );
+
+    this.apply(this.sample(this.progress));
+  }
+
+  /**
+   * @param {Object} pose
+   */
+  apply(pose) {
+    const { camera, model, scene } = this.targets;
+
+    if (camera) {
+      camera.setBasePose(pose.camera.position, pose.camera.lookAt);
+    }
+
+    if (model) {
+      const { position, rotation, scale } = pose.model;
+      model.position.set(position.x, position.y, position.z);
+      model.rotation.set(degToRad(rotation.x), degToRad(rotation.y), degToRad(rotation.z));
+      model.scale.setScalar(scale);
+    }
+
+    if (scene) {
+      scene.setLights(pose.lights);
+    }
+  }
+
+  dispose() {
+    this.stops = [];
+    this.resolved = [];
+    this.targets = {};
+  }
+}
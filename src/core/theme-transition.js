@@ -0,0 +1,90 @@
+/**
+ * Theme Transition
+ * Fades colors and numbers from one config to another when the theme changes
+ *
+ * Values that cannot be blended (blend modes, environment colors) switch at the start.
+ */
+
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { lerp } from '../utils/math.js';
+import { getEasing } from '../utils/easing.js';
+import { resolveColor, toColorNumber } from '../utils/color.js';
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isColor(key) {
+  return Boolean(CONFIG_SCHEMA[key]) && CONFIG_SCHEMA[key].type === 'color';
+}
+
+/**
+ * @param {string} key
+ * @param {*} from
+ * @param {*} to
+ * @returns {boolean}
+ */
+function canBlend(key, from, to) {
+  if (from === to) return false;
+  if (isColor(key)) return from !== null && to !== null;
+  return typeof from === 'number' && typeof to === 'number';
+}
+
+export class ThemeTransition {
+  /**
+   * @param {Object} from - Config before the change
+   * @param {Object} to - Config after the change
+   * @param {string[]} keys - Keys that changed
+   * @param {Object} options
+   * @param {number} options.duration - ms
+   * @param {HTMLElement} [options.element] - Where var() colors are read
+   */
+  constructor(from, to, keys, { duration, element }) {
+    this.duration = duration;
+    this.startTime = performance.now();
+    this.easing = getEasing('easeInOut');
+
+    this.tracks = keys
+      .filter(key => canBlend(key, from[key], to[key]))
+      .map(key => isColor(key)
+        ? { key, color: true, from: resolveColor(from[key], element), to: resolveColor(to[key], element) }
+        : { key, color: false, from: from[key], to: to[key] });
+
+    // Final values, written back when the transition ends or is interrupted
+    this.target = {};
+    for (const { key } of this.tracks) {
+      this.target[key] = to[key];
+    }
+  }
+
+  /**
+   * @returns {string[]} Keys being blended
+   */
+  get keys() {
+    return this.tracks.map(track => track.key);
+  }
+
+  /**
+   * Write the blended values for a moment into config
+   * @param {Object} config
+   * @param {number} time - performance.now() timestamp
+   * @returns {boolean} True once finished, config then holds the target values
+   */
+  apply(config, time) {
+    const progress = this.duration > 0 ? (time - this.startTime) / this.duration : 1;
+
+    if (progress >= 1) {
+      Object.assign(config, this.target);
+      return true;
+    }
+
+    const t = this.easing(Math.max(0, progress));
+    for (const { key, color, from, to } of this.tracks) {
+      config[key] = color
+        ? toColorNumber({ r: lerp(from.r, to.r, t), g: lerp(from.g, to.g, t), b: lerp(from.b, to.b, t) })
+        : lerp(from, to, t);
+    }
+
+    return false;
+  }
+}
@@ -3,343 +3,86 @@
  * Main entry point for the dot/cross pattern with user-tracking spotlight
  */
 
-import { getConfig } from './config.js';
 import { SpotlightScene } from './scenes/spotlight/spotlight-scene.js';
-import { FaceTracker } from './tracking/face-tracker.js';
-import { GyroscopeTracker } from './tracking/gyroscope.js';
-import { FallbackAnimator } from './tracking/fallback.js';
-import { 
-  isMobile, 
-  hasGyroscope, 
-  supportsWebGL, 
-  prefersReducedMotion,
-  hasCameraAccess,
-  gyroscopeNeedsPermission
-} from './utils/device.js';
+import { LIVE_TRACKING_KEYS } from './tracking/tracker-manager.js';
+import { BackgroundBase, autoInit } from './core/background-base.js';
+import { THEME_CONFIG_KEYS, THEME_PRESET_KEYS } from './themes.js';
+import { supportsWebGL } from './utils/device.js';
 
-class SpotlightBackground {
-  constructor() {
-    this.config = getConfig();
-    this.container = null;
+// Shader uniforms set by SpotlightScene.setUniforms()
+const UNIFORM_CONFIG_KEYS = [
+  'spotlightRadius', 'spotlightSoftness', 'dotDensity', 'dotSize', 'crossRatio',
+  'colorDark', 'colorLight', 'dotColorDark', 'dotColorLight'
+];
+
+// Options setConfig() can apply without rebuilding the scene
+const LIVE_CONFIG_KEYS = new Set([
+  ...LIVE_TRACKING_KEYS,
+  ...UNIFORM_CONFIG_KEYS,
+  ...THEME_CONFIG_KEYS,
+  // The 3D scene colors a theme also sets go unused here
+  ...THEME_PRESET_KEYS,
+  'maxPixelRatio'
+]);
+
+class SpotlightBackground extends BackgroundBase {
+  /**
+   * @param {Object} [options] - Per-instance config, merged over window.IMMERSIVE_CONFIG
+   */
+  constructor(options = {}) {
+    super(options, { label: 'Spotlight background', liveConfigKeys: LIVE_CONFIG_KEYS });
     this.scene = null;
-    
-    // Tracking systems
-    this.faceTracker = null;
-    this.gyroscopeTracker = null;
-    this.fallbackAnimator = null;
-    this.activeTracker = null;
-    
-    // Mouse tracking as additional fallback
-    this.mousePosition = { x: 0, y: 0 };
-    this.isMouseTracking = false;
-    
-    // Animation state
-    this.isRunning = false;
-    this.animationId = null;
-    
-    // Reduced motion mode
-    this.reducedMotion = prefersReducedMotion();
-    
-    // Permission UI element
-    this.permissionButton = null;
   }
   
   /**
-   * Initialize the spotlight background
+   * Create the spotlight scene
+   * @returns {Promise<boolean>}
    */
-  async init() {
+  async setupScene() {
     // Check WebGL support
     if (!supportsWebGL()) {
       console.warn('WebGL not supported');
+      this.emit('error', new Error('WebGL not supported'));
       return false;
     }
     
-    // Find or create container
-    this.container = document.getElementById(this.config.containerId);
-    if (!this.container) {
-      console.log(`Container #${this.config.containerId} not found, creating it`);
-      this.container = document.createElement('div');
-      this.container.id = this.config.containerId;
-      this.container.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 0;
-        pointer-events: none;
-      `;
-      document.body.insertBefore(this.container, document.body.firstChild);
-    }
+    this.scene = new SpotlightScene(this.config);
+    const success = this.scene.init(this.container);
     
-    try {
-      // Create spotlight scene
-      this.scene = new SpotlightScene(this.config);
-      const success = this.scene.init(this.container);
-      
-      if (!success) {
-        console.error('Failed to initialize spotlight scene');
-        return false;
-      }
-      
-      // Setup tracking based on device
-      await this.setupTracking();
-      
-      // Setup event listeners
-      this.setupEventListeners();
-      
-      // Start animation loop
-      this.start();
-      
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize spotlight background:', error);
+    if (!success) {
+      console.error('Failed to initialize spotlight scene');
       this.cleanup();
+      this.emit('error', new Error('Failed to initialize spotlight scene'));
       return false;
     }
+    return true;
   }
   
   /**
-   * Setup tracking based on device capabilities
-   */
-  async setupTracking() {
-    // Callback for all trackers
-    const onTrackingUpdate = (x, y, z) => {
-      if (this.scene) {
-        this.scene.setUserPosition(x, y);
-      }
-    };
-    
-    // Always create fallback animator
-    this.fallbackAnimator = new FallbackAnimator(this.config, onTrackingUpdate);
-    
-    // If reduced motion is preferred, use minimal fallback
-    if (this.reducedMotion) {
-      console.log('Reduced motion preferred - using minimal fallback');
-      this.fallbackAnimator.setSpeed(this.config.fallbackAnimationSpeed * 0.3);
-      this.fallbackAnimator.setRadius({ x: 0.1, y: 0.05 });
-      this.fallbackAnimator.start();
-      this.activeTracker = 'fallback';
-      return;
-    }
-    
-    // Mobile: Use gyroscope
-    if (isMobile()) {
-      await this.setupMobileTracking(onTrackingUpdate);
-    } else {
-      // Desktop: Use face tracking
-      await this.setupDesktopTracking(onTrackingUpdate);
-    }
-  }
-  
-  /**
-   * Setup tracking for mobile devices
+   * Mouse/touch is the fallback while waiting for (or without) face tracking
+   * Camera preview is not shown for the spotlight background
+   * @returns {Object}
    */
-  async setupMobileTracking(onUpdate) {
-    if (!hasGyroscope()) {
-      console.log('Gyroscope not available - using mouse/touch fallback');
-      this.enableMouseTracking();
-      return;
-    }
-    
-    this.gyroscopeTracker = new GyroscopeTracker(this.config, onUpdate);
-    
-    if (gyroscopeNeedsPermission()) {
-      this.showPermissionButton('motion');
-    } else {
-      const started = await this.gyroscopeTracker.start();
-      if (started) {
-        this.activeTracker = 'gyroscope';
-        console.log('Gyroscope tracking active');
-      } else {
-        this.enableMouseTracking();
-      }
-    }
-  }
-  
-  /**
-   * Setup tracking for desktop devices
-   */
-  async setupDesktopTracking(onUpdate) {
-    if (!hasCameraAccess()) {
-      console.log('Camera access not available - using mouse fallback');
-      this.enableMouseTracking();
-      return;
-    }
-    
-    this.faceTracker = new FaceTracker(this.config, onUpdate);
-    
-    // Start with mouse tracking initially while waiting for face tracking
-    this.enableMouseTracking();
-    
-    // Delay camera request slightly
-    setTimeout(async () => {
-      console.log('Attempting to start face tracking...');
-      const started = await this.faceTracker.start();
-      
-      if (started) {
-        // Disable mouse tracking and hide camera preview
-        this.disableMouseTracking();
-        this.faceTracker.setPreviewVisible(false); // Hide camera preview
-        this.activeTracker = 'face';
-        console.log('Face tracking active');
-      } else {
-        console.log('Camera denied - continuing with mouse tracking');
-        this.activeTracker = 'mouse';
-      }
-    }, this.config.cameraRequestDelay);
-  }
-  
-  /**
-   * Enable mouse/touch position tracking as fallback
-   */
-  enableMouseTracking() {
-    if (this.isMouseTracking) return;
-    
-    this.isMouseTracking = true;
-    this.activeTracker = 'mouse';
-    
-    // Mouse move handler
-    this.handleMouseMove = (e) => {
-      const x = (e.clientX / window.innerWidth) * 2 - 1;
-      const y = -((e.clientY / window.innerHeight) * 2 - 1); // Invert Y
-      
-      if (this.scene && this.activeTracker === 'mouse') {
-        this.scene.setUserPosition(x, y);
-      }
-    };
-    
-    // Touch move handler
-    this.handleTouchMove = (e) => {
-      if (e.touches.length > 0) {
-        const touch = e.touches[0];
-        const x = (touch.clientX / window.innerWidth) * 2 - 1;
-        const y = -((touch.clientY / window.innerHeight) * 2 - 1);
-        
-        if (this.scene && this.activeTracker === 'mouse') {
-          this.scene.setUserPosition(x, y);
-        }
-      }
-    };
-    
-    // Enable pointer events on container for mouse tracking
-    if (this.scene && this.scene.canvas) {
-      this.scene.canvas.style.pointerEvents = 'auto';
-    }
-    
-    window.addEventListener('mousemove', this.handleMouseMove);
-    window.addEventListener('touchmove', this.handleTouchMove, { passive: true });
-    
-    console.log('Mouse/touch tracking enabled');
-  }
-  
-  /**
-   * Disable mouse tracking
-   */
-  disableMouseTracking() {
-    if (!this.isMouseTracking) return;
-    
-    this.isMouseTracking = false;
-    
-    if (this.handleMouseMove) {
-      window.removeEventListener('mousemove', this.handleMouseMove);
-    }
-    if (this.handleTouchMove) {
-      window.removeEventListener('touchmove', this.handleTouchMove);
-    }
-    
-    // Disable pointer events on canvas
-    if (this.scene && this.scene.canvas) {
-      this.scene.canvas.style.pointerEvents = 'none';
-    }
-    
-    console.log('Mouse/touch tracking disabled');
+  getTrackerOptions() {
+    return { mouse: true, element: this.container, cameraPreview: false };
   }
   
   /**
-   * Show permission button for iOS motion access
+   * Move the spotlight to the tracked position
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {Object} [pose]
    */
-  showPermissionButton(type) {
-    this.permissionButton = document.getElementById('enable-motion');
-    
-    if (!this.permissionButton) {
-      this.permissionButton = document.createElement('button');
-      this.permissionButton.id = 'enable-motion';
-      this.permissionButton.className = 'enable-motion';
-      this.permissionButton.textContent = 'Tap to enable motion tracking';
-      this.permissionButton.style.cssText = `
-        position: fixed;
-        bottom: 2rem;
-        left: 50%;
-        transform: translateX(-50%);
-        padding: 0.75rem 1.5rem;
-        background: rgba(255, 255, 255, 0.1);
-        border: 1px solid rgba(255, 255, 255, 0.2);
-        border-radius: 2rem;
-        color: white;
-        font-size: 0.875rem;
-        cursor: pointer;
-        backdrop-filter: blur(10px);
-        transition: all 0.3s ease;
-        z-index: 100;
-      `;
-      document.body.appendChild(this.permissionButton);
+  handleTrackingUpdate(x, y, z, pose) {
+    if (this.scene) {
+      this.scene.setUserPosition(x, y);
     }
-    
-    this.permissionButton.style.display = 'block';
-    
-    const handleClick = async () => {
-      if (type === 'motion' && this.gyroscopeTracker) {
-        const granted = await this.gyroscopeTracker.requestPermission();
-        if (granted) {
-          const started = await this.gyroscopeTracker.start();
-          if (started) {
-            this.disableMouseTracking();
-            this.activeTracker = 'gyroscope';
-            console.log('Gyroscope tracking active');
-          }
-        }
-      }
-      
-      this.permissionButton.style.display = 'none';
-      this.permissionButton.removeEventListener('click', handleClick);
-    };
-    
-    this.permissionButton.addEventListener('click', handleClick);
-    
-    // Enable mouse tracking while waiting
-    this.enableMouseTracking();
+    super.handleTrackingUpdate(x, y, z, pose);
   }
   
   /**
-   * Setup window event listeners
-   */
-  setupEventListeners() {
-    // Resize handler
-    window.addEventListener('resize', () => this.handleResize());
-    
-    // Visibility change
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        this.pause();
-      } else {
-        this.resume();
-      }
-    });
-    
-    // Reduced motion preference change
-    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-    motionQuery.addEventListener('change', (e) => {
-      this.reducedMotion = e.matches;
-      if (this.reducedMotion && this.fallbackAnimator) {
-        this.switchToFallback();
-        this.fallbackAnimator.setSpeed(this.config.fallbackAnimationSpeed * 0.3);
-      }
-    });
-  }
-  
-  /**
-   * Handle window resize
+   * Handle container resize
    */
   handleResize() {
     if (this.scene) {
@@ -348,49 +91,28 @@ class SpotlightBackground {
   }
   
   /**
-   * Switch to fallback animation
+   * Push changed config values into the running background
+   * @param {string[]} changed - Config keys that changed
    */
-  switchToFallback() {
-    if (this.faceTracker) {
-      this.faceTracker.stop();
-    }
-    if (this.gyroscopeTracker) {
-      this.gyroscopeTracker.stop();
+  applyConfig(changed) {
+    super.applyConfig(changed);
+    
+    if (changed.some(key => UNIFORM_CONFIG_KEYS.includes(key))) {
+      this.scene.setUniforms();
     }
-    this.disableMouseTracking();
-    this.fallbackAnimator.start();
-    this.activeTracker = 'fallback';
-  }
-  
-  /**
-   * Start the animation loop
-   */
-  start() {
-    if (this.isRunning) return;
     
-    this.isRunning = true;
-    this.animate();
-  }
-  
-  /**
-   * Pause the animation
-   */
-  pause() {
-    this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    if (changed.includes('maxPixelRatio')) {
+      this.handleResize();
     }
   }
   
   /**
-   * Resume the animation
+   * Step the theme fade, pushing its colors into the shader
+   * @param {number} time - performance.now() timestamp
    */
-  resume() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.animate();
-    }
+  updateThemeTransition(time) {
+    super.updateThemeTransition(time);
+    this.scene.setUniforms();
   }
   
   /**
@@ -403,73 +125,55 @@ class SpotlightBackground {
     
     const currentTime = performance.now();
     
-    // Update fallback animation if active
-    if (this.activeTracker === 'fallback' && this.fallbackAnimator) {
-      this.fallbackAnimator.update(currentTime);
+    // Update animated trackers (fallback)
+    if (this.trackerManager) {
+      this.trackerManager.update(currentTime);
+    }
+    
+    if (this.themeTransition) {
+      this.updateThemeTransition(currentTime);
     }
     
     // Render scene
     if (this.scene) {
       this.scene.render();
     }
+    
+    if (this.debugPanel) {
+      this.debugPanel.update(currentTime);
+    }
   }
   
   /**
    * Cleanup and dispose all resources
    */
   cleanup() {
-    this.pause();
-    
-    if (this.faceTracker) {
-      this.faceTracker.stop();
-    }
-    
-    if (this.gyroscopeTracker) {
-      this.gyroscopeTracker.stop();
-    }
-    
-    this.disableMouseTracking();
+    super.cleanup();
     
     if (this.scene) {
       this.scene.dispose();
-    }
-    
-    if (this.permissionButton && this.permissionButton.parentNode) {
-      this.permissionButton.parentNode.removeChild(this.permissionButton);
+      this.scene = null;
     }
   }
 }
 
-// Auto-initialize when DOM is ready
-function initSpotlightBackground() {
-  try {
-    console.log('Initializing spotlight background...');
-    const bg = new SpotlightBackground();
-    bg.init().then((success) => {
-      if (success) {
-        console.log('Spotlight background initialized successfully');
-      } else {
-        console.warn('Spotlight background initialization returned false');
-      }
-    }).catch((error) => {
-      console.error('Spotlight background initialization failed:', error);
-    });
-    
-    // Expose for debugging
-    window.__SPOTLIGHT_BG__ = bg;
-  } catch (error) {
-    console.error('Spotlight background error:', error);
-  }
-}
-
-function safeInit() {
-  setTimeout(initSpotlightBackground, 100);
+/**
+ * Create and mount a spotlight background instance
+ * @param {HTMLElement|string} [container] - Element or CSS selector, defaults to #containerId
+ * @param {Object} [options] - Per-instance config
+ * @returns {SpotlightBackground}
+ */
+function create(container, options = {}) {
+  const bg = new SpotlightBackground(options);
+  bg.ready = bg.init(container);
+  return bg;
 }
 
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', safeInit);
-} else {
-  safeInit();
-}
+// One instance per [data-immersive="spotlight"] element, else the legacy #containerId
+autoInit(create, {
+  selector: '[data-immersive="spotlight"]',
+  label: 'Spotlight background',
+  globalName: 'SPOTLIGHT_BG'
+});
 
-export { SpotlightBackground };
+export { SpotlightBackground, create };
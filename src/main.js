@@ -4,127 +4,153 @@
  */
 
 import * as THREE from 'three';
-import { getConfig } from './config.js';
-import { SceneManager } from './core/scene.js';
+import { SceneManager, LIGHT_CONFIG_KEYS } from './core/scene.js';
 import { CameraController } from './core/camera.js';
-import { ModelLoader } from './core/loader.js';
-import { FaceTracker } from './tracking/face-tracker.js';
-import { GyroscopeTracker } from './tracking/gyroscope.js';
-import { FallbackAnimator } from './tracking/fallback.js';
+import { ModelComposition } from './core/model-composition.js';
+import { ENVIRONMENT_CONFIG_KEYS } from './core/loader.js';
+import { ScrollTimeline } from './core/scroll-timeline.js';
+import { LoadingScreen } from './core/loading-screen.js';
+import { BackgroundBase, autoInit } from './core/background-base.js';
+import { THEME_CONFIG_KEYS, THEME_PRESET_KEYS } from './themes.js';
+import { LIVE_TRACKING_KEYS } from './tracking/tracker-manager.js';
 import { TerminalOverlay } from './background/terminal-overlay.js';
-import { 
-  isMobile, 
-  hasGyroscope, 
-  supportsWebGL, 
-  prefersReducedMotion,
-  hasCameraAccess,
-  getPixelRatio,
-  gyroscopeNeedsPermission
-} from './utils/device.js';
+import { getElementSize } from './utils/dom.js';
+import { supportsWebGL, getPixelRatio } from './utils/device.js';
 
-class ImmersiveBackground {
-  constructor() {
-    this.config = getConfig();
-    this.container = null;
+// Options setConfig() can apply without rebuilding the scene
+const LIVE_CONFIG_KEYS = new Set([
+  ...LIVE_TRACKING_KEYS,
+  ...LIGHT_CONFIG_KEYS,
+  ...THEME_CONFIG_KEYS,
+  // Includes the spotlight colors, which this scene never reads
+  ...THEME_PRESET_KEYS,
+  ...ENVIRONMENT_CONFIG_KEYS,
+  'backgroundColor', 'gridColor', 'gridCenterColor', 'particleColor',
+  'parallaxGridColor', 'parallaxGridOpacity', 'parallaxGridDensity', 'parallaxCrossSize', 'parallaxCrossThickness',
+  'parallaxGridBlending', 'terminalBracketColor', 'chromeMaterial',
+  'parallaxMultipliers',
+  'cameraFOV', 'cameraDistance', 'cameraNear', 'cameraFar',
+  'screenWidth', 'screenHeight', 'viewingDistance',
+  'scrollTimeline', 'scrollTimelineSmoothing',
+  'animationAutoplay', 'animationClip', 'animationLoop', 'animationFadeTime', 'animationTimeScale',
+  'animationScrollClip', 'animationTriggers', 'animationApproachDistance',
+  'maxPixelRatio'
+]);
+
+class ImmersiveBackground extends BackgroundBase {
+  /**
+   * @param {Object} [options] - Per-instance config, merged over window.IMMERSIVE_CONFIG
+   */
+  constructor(options = {}) {
+    super(options, { label: 'Immersive background', liveConfigKeys: LIVE_CONFIG_KEYS });
     this.canvas = null;
     this.renderer = null;
     this.sceneManager = null;
     this.cameraController = null;
-    this.modelLoader = null;
-    
-    // Tracking systems
-    this.faceTracker = null;
-    this.gyroscopeTracker = null;
-    this.fallbackAnimator = null;
-    this.activeTracker = null;
+    this.models = null;
+    this.modelGroup = null;
+    this.scrollTimeline = null;
+    this.loadingScreen = null;
+    this.hasRendered = false;
     
     // Terminal overlay
     this.terminalOverlay = null;
     
     // Current tracking offset for passing to background layers
     this.currentTrackingOffset = { x: 0, y: 0, z: 0 };
-    
-    // Animation state
-    this.isRunning = false;
-    this.lastTime = 0;
-    this.animationId = null;
-    
-    // Reduced motion mode
-    this.reducedMotion = prefersReducedMotion();
-    
-    // Permission UI element
-    this.permissionButton = null;
+    this.currentPose = null;
   }
   
   /**
-   * Initialize the immersive background
+   * Load the models and build the scene, behind the loading screen
+   * @param {number} generation - this.initGeneration when init() was called
+   * @returns {Promise<boolean>}
    */
-  async init() {
+  async setupScene(generation) {
+    // Poster until the first frame renders, and in place of the scene if it cannot load
+    if (this.loadingScreen) {
+      this.loadingScreen.dispose();
+    }
+    this.loadingScreen = new LoadingScreen(this.config, this.container);
+    this.loadingScreen.show();
+    
     // Check WebGL support
     if (!supportsWebGL()) {
-      console.warn('WebGL not supported, hiding canvas');
+      console.warn('WebGL not supported, keeping the poster');
+      this.loadingScreen.fail();
+      this.emit('error', new Error('WebGL not supported'));
       return false;
     }
     
-    // Find or create container
-    this.container = document.getElementById(this.config.containerId);
-    if (!this.container) {
-      console.log(`Container #${this.config.containerId} not found, creating it`);
-      this.container = document.createElement('div');
-      this.container.id = this.config.containerId;
-      this.container.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 0;
-        pointer-events: none;
-      `;
-      document.body.insertBefore(this.container, document.body.firstChild);
-    }
-    
-    try {
-      // Create canvas and renderer
-      this.setupRenderer();
-      
-      // Create scene
-      this.sceneManager = new SceneManager(this.config);
-      
-      // Create camera
-      this.cameraController = new CameraController(this.config);
-      
-      // Load model
-      this.modelLoader = new ModelLoader(this.config);
-      const model = await this.modelLoader.load();
-      
-      // Create environment map and apply chrome material for that liquid metal look
-      const envMap = this.modelLoader.createEnvMap(this.renderer);
-      this.sceneManager.setEnvironment(envMap);
-      this.modelLoader.applyChromeMaterial(model, envMap);
-      
-      this.sceneManager.add(model);
-      
-      // Setup terminal overlay
-      if (this.config.terminalOverlay) {
-        this.terminalOverlay = new TerminalOverlay(this.config);
+    // Create canvas and renderer
+    this.setupRenderer();
+    
+    // Create scene
+    this.sceneManager = new SceneManager(this.config, this.container);
+    
+    // Create camera, matching the container's aspect
+    this.cameraController = new CameraController(this.config);
+    this.handleResize();
+    
+    // Load the logo, or every model in config.models
+    this.models = new ModelComposition(this.config, this.container);
+    this.models.on('progress', (progress) => {
+      if (this.loadingScreen) {
+        this.loadingScreen.setProgress(progress.progress);
       }
-      
-      // Setup tracking based on device
-      await this.setupTracking();
-      
-      // Setup event listeners
-      this.setupEventListeners();
-      
-      // Start animation loop
-      this.start();
-      
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize immersive background:', error);
-      this.cleanup();
-      return false;
+      this.emit('progress', progress);
+    });
+    const loading = this.models.load(this.renderer);
+    
+    // Environment map for the chrome reflections, an HDRI downloads alongside the models
+    const envMap = this.models.createEnvMap(this.renderer);
+    await Promise.all([loading, envMap]);
+    
+    // Torn down or rebuilt while the models were loading
+    if (generation !== this.initGeneration) return false;
+    
+    // With a poster configured, show it rather than the placeholder cube
+    if (this.models.loadError && this.config.posterImage) {
+      throw this.models.loadError;
     }
+    this.loadingScreen.setProgress(1);
+    
+    // Set up materials, chrome by default for that liquid metal look
+    this.sceneManager.setEnvironment(this.models.envMap);
+    this.models.applyMaterials();
+    
+    // Scroll choreography moves this wrapper so each model keeps its own centering
+    this.modelGroup = this.models.group;
+    this.sceneManager.add(this.modelGroup);
+    
+    // Clips from the GLTFs, autoplayed or started by tracking, scroll and the API
+    this.models.on('start', (name, model) => this.emit('animationstart', name, model));
+    this.models.on('end', (name, model) => this.emit('animationend', name, model));
+    this.models.setupAnimations();
+    
+    this.scrollTimeline = new ScrollTimeline(this.config, {
+      camera: this.cameraController,
+      model: this.modelGroup,
+      scene: this.sceneManager
+    });
+    
+    // Setup terminal overlay
+    if (this.config.terminalOverlay) {
+      this.terminalOverlay = new TerminalOverlay(this.config, this.container);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Keep the poster up in place of a scene that failed to load
+   * @param {Error} error
+   */
+  handleInitError(error) {
+    if (this.loadingScreen) {
+      this.loadingScreen.fail();
+    }
+    super.handleInitError(error);
   }
   
   /**
@@ -134,13 +160,15 @@ class ImmersiveBackground {
     // Create canvas
     this.canvas = document.createElement('canvas');
     this.canvas.style.cssText = `
-      position: fixed;
+      position: absolute;
       top: 0;
       left: 0;
       width: 100%;
       height: 100%;
       z-index: 0;
       pointer-events: none;
+      opacity: 0;
+      transition: opacity ${this.config.fadeInDuration}ms ease;
     `;
     this.container.appendChild(this.canvas);
     
@@ -154,259 +182,167 @@ class ImmersiveBackground {
     
     const pixelRatio = getPixelRatio(this.config.maxPixelRatio);
     this.renderer.setPixelRatio(pixelRatio);
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    const { width, height } = getElementSize(this.container);
+    this.renderer.setSize(width, height, false);
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.3;  // Slightly brighter for chrome visibility
   }
   
   /**
-   * Setup tracking based on device capabilities
+   * Update camera, parallax layers, models and terminal overlay with the tracked position
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {Object} [pose]
    */
-  async setupTracking() {
-    // Callback for all trackers - updates camera, parallax layers, and terminal overlay
-    const onTrackingUpdate = (x, y, z) => {
-      this.currentTrackingOffset = { x, y, z };
-      this.cameraController.setTargetOffset(x, y, z);
-      
-      // Update parallax layers with tracking offset
-      if (this.sceneManager) {
-        this.sceneManager.setParallaxOffset(x, y);
-      }
-      
-      // Update terminal overlay with tracking offset
-      if (this.terminalOverlay) {
-        this.terminalOverlay.setOffset(x, y);
-      }
-    };
+  handleTrackingUpdate(x, y, z, pose) {
+    this.currentTrackingOffset = { x, y, z };
+    this.cameraController.setTargetOffset(x, y, z);
     
-    // Always create fallback animator
-    this.fallbackAnimator = new FallbackAnimator(this.config, onTrackingUpdate);
+    // Only a live face reports how close the viewer is
+    if (this.models && this.activeTracker === 'face' && this.trackerManager.getState() === 'tracking') {
+      this.models.setViewerOffset(z);
+    }
     
-    // If reduced motion is preferred, only use fallback with minimal animation
-    if (this.reducedMotion) {
-      console.log('Reduced motion preferred - using minimal fallback');
-      this.fallbackAnimator.setSpeed(this.config.fallbackAnimationSpeed * 0.3);
-      this.fallbackAnimator.setRadius({ x: 0.1, y: 0.05 });
-      this.fallbackAnimator.start();
-      this.activeTracker = 'fallback';
-      return;
+    // Head pose is only reported in keypoints face tracking mode
+    if (pose) {
+      this.currentPose = pose;
+      if (this.models) {
+        this.models.setHeadRotation(pose.yaw, pose.pitch, pose.roll);
+      }
+    }
+    
+    // Update parallax layers and model depths with tracking offset
+    if (this.sceneManager) {
+      this.sceneManager.setParallaxOffset(x, y);
+    }
+    if (this.models) {
+      this.models.setParallaxOffset(x, y);
     }
     
-    // Mobile: Use gyroscope
-    if (isMobile()) {
-      await this.setupMobileTracking(onTrackingUpdate);
-    } else {
-      // Desktop: Use face tracking
-      await this.setupDesktopTracking(onTrackingUpdate);
+    // Update terminal overlay with tracking offset
+    if (this.terminalOverlay) {
+      this.terminalOverlay.setOffset(x, y);
     }
+    
+    super.handleTrackingUpdate(x, y, z, pose);
   }
   
   /**
-   * Setup tracking for mobile devices
+   * Start the animation clips triggered by this tracking state
+   * @param {string} state
    */
-  async setupMobileTracking(onUpdate) {
-    if (!hasGyroscope()) {
-      console.log('Gyroscope not available - using fallback');
-      this.fallbackAnimator.start();
-      this.activeTracker = 'fallback';
-      return;
-    }
-    
-    this.gyroscopeTracker = new GyroscopeTracker(this.config, onUpdate);
-    
-    // Check if permission is needed (iOS)
-    if (gyroscopeNeedsPermission()) {
-      this.showPermissionButton('motion');
-    } else {
-      // Android - start directly
-      const started = await this.gyroscopeTracker.start();
-      if (started) {
-        this.activeTracker = 'gyroscope';
-        console.log('Gyroscope tracking active');
-      } else {
-        this.fallbackAnimator.start();
-        this.activeTracker = 'fallback';
-      }
+  handleTrackingState(state) {
+    if (this.models) {
+      this.models.trigger(state);
     }
   }
   
   /**
-   * Setup tracking for desktop devices
+   * Replace the scroll timeline
+   * @param {Object[]} stops - See config.scrollTimeline
    */
-  async setupDesktopTracking(onUpdate) {
-    if (!hasCameraAccess()) {
-      console.log('Camera access not available - using fallback');
-      this.fallbackAnimator.start();
-      this.activeTracker = 'fallback';
-      return;
-    }
-    
-    this.faceTracker = new FaceTracker(this.config, onUpdate);
-    
-    // Start fallback initially while waiting for face tracking
-    this.fallbackAnimator.start();
-    this.activeTracker = 'fallback';
-    
-    // Delay camera request slightly to let page settle
-    setTimeout(async () => {
-      console.log('Attempting to start face tracking...');
-      const started = await this.faceTracker.start();
-      
-      if (started) {
-        // Stop fallback animation when face tracking starts
-        this.fallbackAnimator.stop();
-        this.activeTracker = 'face';
-        console.log('Face tracking active - fallback stopped');
-      } else {
-        console.log('Camera denied - continuing with fallback');
-      }
-    }, this.config.cameraRequestDelay);
+  setScrollTimeline(stops) {
+    this.config.scrollTimeline = stops;
+    if (this.scrollTimeline) {
+      this.scrollTimeline.setStops(stops);
+    }
   }
   
   /**
-   * Show permission button for iOS motion access
+   * Crossfade to one of the model's animation clips
+   * @param {string} name - Clip name, see getAnimations()
+   * @param {Object} [options] - { loop: 'repeat'|'once'|'pingpong', fadeTime, timeScale }
+   * @returns {boolean} False if there is no such clip
    */
-  showPermissionButton(type) {
-    // Check for existing button in page
-    this.permissionButton = document.getElementById('enable-motion');
-    
-    if (!this.permissionButton) {
-      // Create button if not exists
-      this.permissionButton = document.createElement('button');
-      this.permissionButton.id = 'enable-motion';
-      this.permissionButton.className = 'enable-motion';
-      this.permissionButton.textContent = 'Tap to enable motion tracking';
-      this.permissionButton.style.cssText = `
-        position: fixed;
-        bottom: 2rem;
-        left: 50%;
-        transform: translateX(-50%);
-        padding: 0.75rem 1.5rem;
-        background: rgba(255, 255, 255, 0.1);
-        border: 1px solid rgba(255, 255, 255, 0.2);
-        border-radius: 2rem;
-        color: white;
-        font-size: 0.875rem;
-        cursor: pointer;
-        backdrop-filter: blur(10px);
-        transition: all 0.3s ease;
-        z-index: 100;
-      `;
-      document.body.appendChild(this.permissionButton);
-    }
-    
-    this.permissionButton.classList.add('visible');
-    this.permissionButton.style.display = 'block';
-    
-    const handleClick = async () => {
-      if (type === 'motion' && this.gyroscopeTracker) {
-        const granted = await this.gyroscopeTracker.requestPermission();
-        if (granted) {
-          const started = await this.gyroscopeTracker.start();
-          if (started) {
-            this.fallbackAnimator.stop();
-            this.activeTracker = 'gyroscope';
-            console.log('Gyroscope tracking active');
-          }
-        }
-      }
-      
-      // Hide button
-      this.permissionButton.style.display = 'none';
-      this.permissionButton.classList.remove('visible');
-      this.permissionButton.removeEventListener('click', handleClick);
-    };
-    
-    this.permissionButton.addEventListener('click', handleClick);
-    
-    // Start fallback while waiting
-    this.fallbackAnimator.start();
-    this.activeTracker = 'fallback';
+  playAnimation(name, options) {
+    return this.models ? this.models.play(name, options) : false;
   }
   
   /**
-   * Setup window event listeners
+   * Fade out the playing animation clip
+   * @param {number} [fadeTime] - ms, defaults to config.animationFadeTime
    */
-  setupEventListeners() {
-    // Resize handler
-    window.addEventListener('resize', () => this.handleResize());
-    
-    // Visibility change (pause when hidden)
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        this.pause();
-      } else {
-        this.resume();
-      }
-    });
-    
-    // Reduced motion preference change
-    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-    motionQuery.addEventListener('change', (e) => {
-      this.reducedMotion = e.matches;
-      if (this.reducedMotion) {
-        this.switchToFallback();
-        this.fallbackAnimator.setSpeed(this.config.fallbackAnimationSpeed * 0.3);
-      }
-    });
+  stopAnimation(fadeTime) {
+    if (this.models) {
+      this.models.stop(fadeTime);
+    }
   }
   
   /**
-   * Handle window resize
+   * @returns {string[]} Animation clip names in the loaded model
    */
-  handleResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    
-    this.cameraController.resize(width, height);
-    this.renderer.setSize(width, height);
+  getAnimations() {
+    return this.models ? this.models.getClipNames() : [];
   }
   
   /**
-   * Switch to fallback animation
+   * Handle container resize, sizing the canvas to the container
    */
-  switchToFallback() {
-    if (this.faceTracker) {
-      this.faceTracker.stop();
+  handleResize() {
+    if (!this.renderer || !this.cameraController) return;
+    
+    const { width, height } = getElementSize(this.container);
+    
+    this.cameraController.resize(width, height);
+    this.renderer.setSize(width, height, false);
+    
+    if (this.terminalOverlay) {
+      this.terminalOverlay.updateDisplayInfo();
     }
-    if (this.gyroscopeTracker) {
-      this.gyroscopeTracker.stop();
+    
+    // Section offsets move when the page reflows
+    if (this.scrollTimeline) {
+      this.scrollTimeline.refresh();
     }
-    this.fallbackAnimator.start();
-    this.activeTracker = 'fallback';
   }
   
   /**
-   * Start the animation loop
+   * Push changed config values into the running background
+   * @param {string[]} changed - Config keys that changed
    */
-  start() {
-    if (this.isRunning) return;
+  applyConfig(changed) {
+    const has = (...keys) => keys.some(key => changed.includes(key));
     
-    this.isRunning = true;
-    this.lastTime = performance.now();
-    this.animate();
-  }
-  
-  /**
-   * Pause the animation
-   */
-  pause() {
-    this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    super.applyConfig(changed);
+    this.sceneManager.applyConfig();
+    this.cameraController.applyConfig();
+    
+    // The timeline's resting pose comes from the camera and light config
+    if (has('scrollTimeline', 'cameraDistance', ...LIGHT_CONFIG_KEYS)) {
+      this.scrollTimeline.setStops(this.config.scrollTimeline);
+    }
+    
+    if (has('maxPixelRatio')) {
+      this.renderer.setPixelRatio(getPixelRatio(this.config.maxPixelRatio));
+      this.handleResize();
+    }
+    
+    this.models.applyConfig(changed);
+    
+    if (has(...ENVIRONMENT_CONFIG_KEYS)) {
+      this.models.createEnvMap(this.renderer).then((envMap) => {
+        if (this.sceneManager) {
+          this.sceneManager.setEnvironment(envMap);
+        }
+      });
+    }
+    
+    if (this.terminalOverlay) {
+      this.terminalOverlay.applyConfig();
     }
   }
   
   /**
-   * Resume the animation
+   * Step the theme fade, pushing its colors into the scene
+   * @param {number} time - performance.now() timestamp
    */
-  resume() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.lastTime = performance.now();
-      this.animate();
+  updateThemeTransition(time) {
+    super.updateThemeTransition(time);
+    this.sceneManager.applyConfig();
+    if (this.terminalOverlay) {
+      this.terminalOverlay.applyConfig();
     }
   }
   
@@ -422,9 +358,21 @@ class ImmersiveBackground {
     const deltaTime = currentTime - this.lastTime;
     this.lastTime = currentTime;
     
-    // Update fallback animation if active
-    if (this.activeTracker === 'fallback') {
-      this.fallbackAnimator.update(currentTime);
+    // Update animated trackers (fallback)
+    this.trackerManager.update(currentTime);
+    
+    // Before the timeline, so lights its stops set are not reset to the fading config
+    if (this.themeTransition) {
+      this.updateThemeTransition(currentTime);
+    }
+    
+    // Scroll choreography sets the base pose, tracking offsets go on top
+    if (this.scrollTimeline) {
+      this.scrollTimeline.update(deltaTime);
+    }
+    
+    if (this.models && this.models.hasScrollClip()) {
+      this.models.setScrollProgress(this.scrollTimeline.getScrollProgress());
     }
     
     // Update camera
@@ -435,12 +383,12 @@ class ImmersiveBackground {
     
     // Update terminal overlay
     if (this.terminalOverlay) {
-      this.terminalOverlay.update();
+      this.terminalOverlay.update(deltaTime);
     }
     
-    // Update model
-    if (this.modelLoader) {
-      this.modelLoader.update(deltaTime, currentTime);
+    // Update models (animation clips, head rotation, parallax)
+    if (this.models) {
+      this.models.update(deltaTime, currentTime);
     }
     
     // Render
@@ -448,77 +396,93 @@ class ImmersiveBackground {
       this.sceneManager.getScene(),
       this.cameraController.getCamera()
     );
+    
+    if (!this.hasRendered) {
+      this.hasRendered = true;
+      this.loadingScreen.reveal(this.canvas);
+      this.emit('firstframe');
+    }
+    
+    if (this.debugPanel) {
+      this.debugPanel.update(currentTime);
+    }
   }
   
   /**
    * Cleanup and dispose all resources
    */
   cleanup() {
-    this.pause();
-    
-    if (this.faceTracker) {
-      this.faceTracker.stop();
-    }
+    super.cleanup();
+    this.hasRendered = false;
     
-    if (this.gyroscopeTracker) {
-      this.gyroscopeTracker.stop();
+    // A failed load keeps its poster until destroy()
+    if (this.loadingScreen && this.loadingScreen.state !== 'error') {
+      this.loadingScreen.dispose();
+      this.loadingScreen = null;
     }
     
     if (this.terminalOverlay) {
       this.terminalOverlay.dispose();
+      this.terminalOverlay = null;
     }
     
+    if (this.scrollTimeline) {
+      this.scrollTimeline.dispose();
+      this.scrollTimeline = null;
+    }
+    this.modelGroup = null;
+    
     if (this.sceneManager) {
       this.sceneManager.dispose();
+      this.sceneManager = null;
     }
     
-    if (this.modelLoader) {
-      this.modelLoader.dispose();
+    if (this.models) {
+      this.models.dispose();
+      this.models = null;
     }
     
     if (this.renderer) {
       this.renderer.dispose();
+      this.renderer = null;
     }
     
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
+    this.canvas = null;
   }
-}
-
-// Auto-initialize when DOM is ready
-function initImmersiveBackground() {
-  try {
-    console.log('Initializing immersive background...');
-    const bg = new ImmersiveBackground();
-    bg.init().then((success) => {
-      if (success) {
-        console.log('Immersive background initialized successfully');
-      } else {
-        console.warn('Immersive background initialization returned false');
-      }
-    }).catch((error) => {
-      console.error('Immersive background initialization failed:', error);
-    });
+  
+  /**
+   * Tear down the background and remove it from the page, poster included
+   */
+  destroy() {
+    super.destroy();
     
-    // Expose for debugging
-    window.__IMMERSIVE_BG__ = bg;
-  } catch (error) {
-    console.error('Immersive background error:', error);
+    if (this.loadingScreen) {
+      this.loadingScreen.dispose();
+      this.loadingScreen = null;
+    }
   }
 }
 
-// Initialize on DOM ready with a small delay to ensure Webflow scripts are loaded
-function safeInit() {
-  // Small delay to ensure all Webflow elements are ready
-  setTimeout(initImmersiveBackground, 100);
-}
-
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', safeInit);
-} else {
-  safeInit();
+/**
+ * Create and mount a background instance
+ * @param {HTMLElement|string} [container] - Element or CSS selector, defaults to #containerId
+ * @param {Object} [options] - Per-instance config
+ * @returns {ImmersiveBackground}
+ */
+function create(container, options = {}) {
+  const bg = new ImmersiveBackground(options);
+  bg.ready = bg.init(container);
+  return bg;
 }
 
-export { ImmersiveBackground };
+// One instance per [data-immersive="logo"] element, else the legacy #containerId
+autoInit(create, {
+  selector: '[data-immersive="logo"]',
+  label: 'Immersive background',
+  globalName: 'IMMERSIVE_BG'
+});
 
+export { ImmersiveBackground, create };
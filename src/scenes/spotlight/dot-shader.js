@@ -31,7 +31,6 @@ export const fragmentShader = `
   
   // Colors
   uniform vec3 u_colorDark;
-  uniform vec3 u_colorLight;
   uniform vec3 u_dotColorDark;
   uniform vec3 u_dotColorLight;
   
@@ -162,7 +161,7 @@ export const fragmentShader = `
     
     // Dot color - also varies slightly with size for depth
     float colorIntensity = mix(0.5, 1.0, influence);
-    vec3 dotColor = u_colorLight * colorIntensity;
+    vec3 dotColor = mix(u_dotColorDark, u_dotColorLight, colorIntensity);
     
     // Final color
     vec3 finalColor = mix(bgColor, dotColor, dot);
@@ -170,20 +169,3 @@ export const fragmentShader = `
     gl_FragColor = vec4(finalColor, 1.0);
   }
 `;
-
-/**
- * Convert hex color string to RGB array (0-1 range)
- * @param {string} hex - Hex color string (e.g., '#0a0a0a')
- * @returns {number[]} RGB values in 0-1 range
- */
-export function hexToRGB(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!result) {
-    return [0, 0, 0];
-  }
-  return [
-    parseInt(result[1], 16) / 255,
-    parseInt(result[2], 16) / 255,
-    parseInt(result[3], 16) / 255
-  ];
-}
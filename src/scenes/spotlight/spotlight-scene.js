@@ -4,12 +4,16 @@
  * for the interactive dot/cross pattern background
  */
 
-import { vertexShader, fragmentShader, hexToRGB } from './dot-shader.js';
+import { vertexShader, fragmentShader } from './dot-shader.js';
 import { getPixelRatio } from '../../utils/device.js';
+import { getElementSize } from '../../utils/dom.js';
+import { expDecay, frameFactorToDecay } from '../../utils/math.js';
+import { resolveColor, toRGBArray } from '../../utils/color.js';
 
 export class SpotlightScene {
   constructor(config) {
     this.config = config;
+    this.container = null;
     this.canvas = null;
     this.gl = null;
     this.program = null;
@@ -22,6 +26,7 @@ export class SpotlightScene {
     
     // Animation state
     this.startTime = performance.now();
+    this.lastRenderTime = this.startTime;
   }
   
   /**
@@ -31,10 +36,12 @@ export class SpotlightScene {
    */
   init(container) {
     try {
+      this.container = container;
+      
       // Create canvas
       this.canvas = document.createElement('canvas');
       this.canvas.style.cssText = `
-        position: fixed;
+        position: absolute;
         top: 0;
         left: 0;
         width: 100%;
@@ -170,7 +177,6 @@ export class SpotlightScene {
       dotSize: gl.getUniformLocation(this.program, 'u_dotSize'),
       crossRatio: gl.getUniformLocation(this.program, 'u_crossRatio'),
       colorDark: gl.getUniformLocation(this.program, 'u_colorDark'),
-      colorLight: gl.getUniformLocation(this.program, 'u_colorLight'),
       dotColorDark: gl.getUniformLocation(this.program, 'u_dotColorDark'),
       dotColorLight: gl.getUniformLocation(this.program, 'u_dotColorLight')
     };
@@ -198,17 +204,24 @@ export class SpotlightScene {
     gl.uniform1f(this.uniforms.crossRatio, config.crossRatio);
     
     // Colors
-    const colorDark = hexToRGB(config.colorDark);
-    const colorLight = hexToRGB(config.colorLight);
-    const dotColorDark = hexToRGB(config.dotColorDark);
-    const dotColorLight = hexToRGB(config.dotColorLight);
+    const colorDark = this.readColor(config.colorDark);
+    const dotColorDark = this.readColor(config.dotColorDark);
+    const dotColorLight = this.readColor(config.dotColorLight ?? config.colorLight);
     
     gl.uniform3fv(this.uniforms.colorDark, colorDark);
-    gl.uniform3fv(this.uniforms.colorLight, colorLight);
     gl.uniform3fv(this.uniforms.dotColorDark, dotColorDark);
     gl.uniform3fv(this.uniforms.dotColorLight, dotColorLight);
   }
   
+  /**
+   * Config color in any supported format as a 0-1 RGB array
+   * @param {number|string} value
+   * @returns {number[]}
+   */
+  readColor(value) {
+    return toRGBArray(resolveColor(value, this.container));
+  }
+  
   /**
    * Set the target user position (will be smoothly interpolated)
    * @param {number} x - X position (-1 to 1, from tracking)
@@ -221,17 +234,14 @@ export class SpotlightScene {
   }
   
   /**
-   * Handle window resize
+   * Handle container resize, sizing the canvas to its container
    */
   resize() {
     const pixelRatio = getPixelRatio(this.config.maxPixelRatio || 2);
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const { width, height } = getElementSize(this.container);
     
     this.canvas.width = width * pixelRatio;
     this.canvas.height = height * pixelRatio;
-    this.canvas.style.width = `${width}px`;
-    this.canvas.style.height = `${height}px`;
     
     if (this.gl) {
       this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
@@ -251,17 +261,21 @@ export class SpotlightScene {
     const gl = this.gl;
     if (!gl || !this.program) return;
     
-    // Smooth interpolation of user position
-    const smoothing = this.config.smoothingFactor || 0.08;
-    this.userPosition.x += (this.targetPosition.x - this.userPosition.x) * smoothing;
-    this.userPosition.y += (this.targetPosition.y - this.userPosition.y) * smoothing;
+    const now = performance.now();
+    const deltaTime = now - this.lastRenderTime;
+    this.lastRenderTime = now;
+    
+    // Smooth interpolation of user position (frame-rate independent)
+    const decay = frameFactorToDecay(this.config.smoothingFactor || 0.08);
+    this.userPosition.x = expDecay(this.userPosition.x, this.targetPosition.x, decay, deltaTime);
+    this.userPosition.y = expDecay(this.userPosition.y, this.targetPosition.y, decay, deltaTime);
     
     gl.useProgram(this.program);
     
     // Update dynamic uniforms
     gl.uniform2f(this.uniforms.userPosition, this.userPosition.x, this.userPosition.y);
     
-    const time = (performance.now() - this.startTime) / 1000;
+    const time = (now - this.startTime) / 1000;
     gl.uniform1f(this.uniforms.time, time);
     
     // Draw
@@ -289,5 +303,6 @@ export class SpotlightScene {
     
     this.gl = null;
     this.canvas = null;
+    this.container = null;
   }
 }
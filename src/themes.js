@@ -0,0 +1,105 @@
+/**
+ * Theme Presets
+ * Named palettes bundling scene, grid, lighting, reflection and spotlight colors
+ *
+ * config.theme picks one by name, or 'auto' to follow prefers-color-scheme with
+ * config.darkTheme / config.lightTheme. Options set explicitly still win over the theme.
+ */
+
+import { prefersDarkScheme } from './utils/device.js';
+import { warnOnce } from './utils/warn.js';
+
+// Config keys that choose the theme, changing them eases colors over themeTransition
+export const THEME_CONFIG_KEYS = ['theme', 'darkTheme', 'lightTheme', 'themes', 'themeTransition'];
+
+export const THEMES = {
+  // The original palette, same as the defaults
+  midnight: {
+    backgroundColor: 0x0a0a0f,
+    gridColor: 0x2a2a4e,
+    gridCenterColor: 0x4a4a7e,
+    particleColor: 0x6a6a9e,
+    parallaxGridColor: 0x5a5a7a,
+    parallaxGridOpacity: 0.65,
+    parallaxGridBlending: 'additive',
+    terminalBracketColor: 0x4a4a7e,
+    ambientLightColor: 0x303040,
+    mainLightColor: 0xffffff,
+    rimLightColor: 0x8090ff,
+    environmentColors: ['#606080', '#404060', '#202030', '#101018'],
+    colorDark: '#000000',
+    colorLight: '#666666',
+    dotColorDark: '#000000'
+  },
+
+  // Neutral greys, no blue cast
+  graphite: {
+    backgroundColor: 0x111111,
+    gridColor: 0x2c2c2c,
+    gridCenterColor: 0x4a4a4a,
+    particleColor: 0x6e6e6e,
+    parallaxGridColor: 0x5e5e5e,
+    parallaxGridOpacity: 0.6,
+    parallaxGridBlending: 'additive',
+    terminalBracketColor: 0x4e4e4e,
+    ambientLightColor: 0x333333,
+    mainLightColor: 0xffffff,
+    rimLightColor: 0xc8c8c8,
+    environmentColors: ['#707070', '#4a4a4a', '#252525', '#121212'],
+    colorDark: '#0d0d0d',
+    colorLight: '#7a7a7a',
+    dotColorDark: '#0d0d0d'
+  },
+
+  // Light page, dark dots and a brighter studio for the chrome
+  daylight: {
+    backgroundColor: 0xeef0f5,
+    gridColor: 0xc5c8d6,
+    gridCenterColor: 0x9fa3bb,
+    particleColor: 0x8a8fae,
+    parallaxGridColor: 0x8d90a8,
+    parallaxGridOpacity: 0.35,
+    parallaxGridBlending: 'normal',  // Additive lines vanish on a light background
+    terminalBracketColor: 0x8d90a8,
+    ambientLightColor: 0xd8dae6,
+    mainLightColor: 0xffffff,
+    rimLightColor: 0x7f8cff,
+    environmentColors: ['#ffffff', '#e4e6ef', '#b9bccb', '#8a8ea3'],
+    colorDark: '#f2f2f2',
+    colorLight: '#9a9a9a',
+    dotColorDark: '#f2f2f2'
+  }
+};
+
+// Keys the built-in presets set, covering the colors of both bundles
+export const THEME_PRESET_KEYS = [...new Set(Object.values(THEMES).flatMap(Object.keys))];
+
+/**
+ * Theme name to use for a config, resolving 'auto' against the system setting
+ * @param {Object} config
+ * @returns {string|null}
+ */
+export function getThemeName(config) {
+  if (config.theme !== 'auto') return config.theme || null;
+  if (typeof window === 'undefined' || !window.matchMedia) return config.darkTheme;
+  return prefersDarkScheme() ? config.darkTheme : config.lightTheme;
+}
+
+/**
+ * Look up the preset a config asks for, custom config.themes first
+ * @param {Object} config
+ * @returns {Object|null} Config values, null for no theme
+ */
+export function getThemePreset(config) {
+  const name = getThemeName(config);
+  if (!name) return null;
+
+  const custom = config.themes || {};
+  const preset = custom[name] || THEMES[name];
+  if (!preset) {
+    warnOnce(`Unknown theme "${name}", using the configured colors`);
+    return null;
+  }
+
+  return preset;
+}
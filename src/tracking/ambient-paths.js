@@ -0,0 +1,169 @@
+/**
+ * Ambient Paths
+ * Motion sources for the FallbackAnimator, each sampled as an -1..1 offset
+ *
+ * - lissajous: closed curves from presets or custom frequencies
+ * - wander: Perlin noise, never repeats
+ * - keyframes: scripted path over time with per-segment easing, loops
+ * - scroll: scripted path over page scroll progress
+ */
+
+import { clamp, lerp } from '../utils/math.js';
+import { getEasing } from '../utils/easing.js';
+import { fractalNoise1D } from '../utils/noise.js';
+
+// Frequency ratio and phase per axis, plus the slow vertical "breathing"
+export const LISSAJOUS_PRESETS = {
+  figure8: { frequency: { x: 1, y: 2 }, phase: { x: 0, y: Math.PI / 4 }, breathe: 0.1 },
+  circle: { frequency: { x: 1, y: 1 }, phase: { x: 0, y: Math.PI / 2 }, breathe: 0 },
+  vertical8: { frequency: { x: 2, y: 1 }, phase: { x: Math.PI / 4, y: 0 }, breathe: 0 },
+  knot: { frequency: { x: 3, y: 2 }, phase: { x: 0, y: Math.PI / 2 }, breathe: 0 },
+  sway: { frequency: { x: 1, y: 0 }, phase: { x: 0, y: 0 }, breathe: 0.05 }
+};
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+/**
+ * Interpolate keyframes at a position along them
+ * Easing on a keyframe shapes the segment that starts there (as in CSS)
+ * @param {Object[]} keyframes - Sorted by key
+ * @param {string} key - 'time' or 'at'
+ * @param {number} position
+ * @returns {{x: number, y: number, z: number}}
+ */
+function sampleKeyframes(keyframes, key, position) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  const point = (frame) => ({ x: frame.x || 0, y: frame.y || 0, z: frame.z || 0 });
+
+  if (position <= first[key]) return point(first);
+  if (position >= last[key]) return point(last);
+
+  let index = 0;
+  while (keyframes[index + 1][key] < position) {
+    index++;
+  }
+
+  const from = keyframes[index];
+  const to = keyframes[index + 1];
+  const span = to[key] - from[key];
+  const t = getEasing(from.easing)(span > 0 ? (position - from[key]) / span : 1);
+  const a = point(from);
+  const b = point(to);
+
+  return {
+    x: lerp(a.x, b.x, t),
+    y: lerp(a.y, b.y, t),
+    z: lerp(a.z, b.z, t)
+  };
+}
+
+/**
+ * Copy and sort keyframes, warning when there are none
+ * @param {Object[]} keyframes
+ * @param {string} key
+ * @param {string} mode
+ * @returns {Object[]|null}
+ */
+function prepareKeyframes(keyframes, key, mode) {
+  if (!Array.isArray(keyframes) || keyframes.length === 0) {
+    console.warn(`Fallback mode "${mode}" has no keyframes, staying centered`);
+    return null;
+  }
+  return [...keyframes].sort((a, b) => a[key] - b[key]);
+}
+
+/**
+ * Page scroll progress
+ * @returns {number} 0 at the top, 1 at the bottom
+ */
+function getScrollProgress() {
+  const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+  return scrollable > 0 ? clamp(window.scrollY / scrollable, 0, 1) : 0;
+}
+
+/**
+ * Create a path for one mode
+ * Options on the spec override the matching fallback* config values
+ * @param {Object} spec - { mode, preset?, frequency?, phase?, octaves?, keyframes?, path?, loop? }
+ * @param {Object} config
+ * @returns {{sample: Function}} sample(elapsed) => {x, y, z}, elapsed in ms
+ */
+export function createAmbientPath(spec, config) {
+  switch (spec.mode) {
+    case 'lissajous': {
+      const preset = LISSAJOUS_PRESETS[spec.preset || config.fallbackPreset];
+      if (!preset) {
+        console.warn(`Unknown Lissajous preset "${spec.preset || config.fallbackPreset}", using figure8`);
+      }
+      const base = preset || LISSAJOUS_PRESETS.figure8;
+
+      // Per axis, so { frequency: { x: 2 } } keeps the preset's y
+      const frequency = { ...base.frequency, ...spec.frequency };
+      const phase = { ...base.phase, ...spec.phase };
+      const breathe = spec.breathe ?? base.breathe;
+
+      return {
+        sample(elapsed) {
+          const t = elapsed * config.fallbackAnimationSpeed;
+          const radius = config.fallbackAnimationRadius;
+
+          return {
+            x: Math.sin(t * frequency.x + phase.x) * radius.x,
+            y: Math.sin(t * frequency.y + phase.y) * radius.y + Math.sin(t * 0.3) * breathe,
+            z: 0
+          };
+        }
+      };
+    }
+
+    case 'wander': {
+      const octaves = spec.octaves || 2;
+
+      return {
+        sample(elapsed) {
+          const t = elapsed * config.fallbackAnimationSpeed;
+          const radius = config.fallbackAnimationRadius;
+
+          // Noise rarely reaches its extremes, stretch it to use the full radius
+          // Offset the second axis so x and y are uncorrelated
+          return {
+            x: clamp(fractalNoise1D(t, octaves) * 2, -1, 1) * radius.x,
+            y: clamp(fractalNoise1D(t + 57.3, octaves) * 2, -1, 1) * radius.y,
+            z: 0
+          };
+        }
+      };
+    }
+
+    case 'keyframes': {
+      const keyframes = prepareKeyframes(spec.keyframes || config.fallbackKeyframes, 'time', 'keyframes');
+      if (!keyframes) return { sample: () => ORIGIN };
+
+      const duration = keyframes[keyframes.length - 1].time;
+      const loop = spec.loop !== false;
+
+      return {
+        sample(elapsed) {
+          const time = loop && duration > 0 ? elapsed % duration : elapsed;
+          return sampleKeyframes(keyframes, 'time', time);
+        }
+      };
+    }
+
+    case 'scroll': {
+      const keyframes = prepareKeyframes(spec.path || config.fallbackScrollPath, 'at', 'scroll');
+      if (!keyframes) return { sample: () => ORIGIN };
+
+      return {
+        sample() {
+          return sampleKeyframes(keyframes, 'at', getScrollProgress());
+        }
+      };
+    }
+
+    default:
+      console.warn(`Unknown fallback mode "${spec.mode}", using lissajous`);
+      return createAmbientPath({ ...spec, mode: 'lissajous' }, config);
+  }
+}
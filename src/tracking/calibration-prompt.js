@@ -0,0 +1,83 @@
+/**
+ * Calibration Prompt
+ * On-screen instructions for a CalibrationSession
+ */
+
+export class CalibrationPrompt {
+  /**
+   * @param {HTMLElement} [parent] - Element to show the prompt over, defaults to document.body
+   */
+  constructor(parent = document.body) {
+    this.parent = parent;
+    this.element = null;
+    this.message = null;
+    this.progress = null;
+  }
+
+  /**
+   * Create the prompt element
+   */
+  show() {
+    if (this.element) return;
+
+    // Fixed on the page, absolute inside a container
+    const position = this.parent === document.body ? 'fixed' : 'absolute';
+
+    this.element = document.createElement('div');
+    this.element.className = 'calibration-prompt';
+    this.element.setAttribute('role', 'status');
+    this.element.setAttribute('aria-live', 'polite');
+    this.element.style.cssText = `
+      position: ${position};
+      bottom: 2rem;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 0.75rem 1.5rem;
+      background: rgba(0, 0, 0, 0.5);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 1rem;
+      color: white;
+      font-size: 0.875rem;
+      text-align: center;
+      backdrop-filter: blur(10px);
+      z-index: 100;
+    `;
+
+    this.message = document.createElement('div');
+
+    this.progress = document.createElement('div');
+    this.progress.style.cssText = `
+      margin-top: 0.5rem;
+      font-size: 0.75rem;
+      opacity: 0.6;
+    `;
+
+    this.element.appendChild(this.message);
+    this.element.appendChild(this.progress);
+    this.parent.appendChild(this.element);
+  }
+
+  /**
+   * Show the instruction for a step
+   * @param {{message: string}} step
+   * @param {number} index
+   * @param {number} total
+   */
+  setStep(step, index, total) {
+    this.show();
+    this.message.textContent = step.message;
+    this.progress.textContent = `Calibrating ${index + 1} / ${total}`;
+  }
+
+  /**
+   * Remove the prompt
+   */
+  dispose() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.message = null;
+    this.progress = null;
+  }
+}
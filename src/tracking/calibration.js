@@ -0,0 +1,242 @@
+/**
+ * Tracking Calibration
+ * Guided capture of the viewer's neutral pose, per-axis range and mirroring,
+ * persisted in localStorage so it survives reloads
+ *
+ * Stored shape (per storage key):
+ * {
+ *   face: { neutral: {x, y, z}, range: {x, y}, mirror: {x, y}, baseFaceSize },
+ *   gyroscope: { neutralBeta, neutralGamma }
+ * }
+ */
+
+import { EventEmitter } from '../utils/events.js';
+import { clamp, averageObjects } from '../utils/math.js';
+import { readStorage, writeStorage, removeStorage } from '../utils/storage.js';
+
+// Instructions shown for each step, per tracker
+const STEPS = {
+  face: [
+    { id: 'center', message: 'Look at the middle of the screen and hold still' },
+    { id: 'right', message: 'Move your head to the right and hold' },
+    { id: 'up', message: 'Move your head up and hold' }
+  ],
+  gyroscope: [
+    { id: 'center', message: 'Hold your device the way you normally would' }
+  ]
+};
+
+// Smallest usable range, guards against the viewer not moving during a step
+const MIN_RANGE = 0.05;
+
+/**
+ * Read all stored calibration data
+ * @param {Object} config
+ * @returns {Object} Empty object when nothing is stored or storage is unavailable
+ */
+export function loadCalibration(config) {
+  if (!config.persistCalibration) return {};
+  return readStorage(config.calibrationStorageKey) || {};
+}
+
+/**
+ * Store calibration data for one tracker
+ * @param {Object} config
+ * @param {string} tracker - 'face' or 'gyroscope'
+ * @param {Object|null} data - null removes the tracker's entry
+ */
+export function saveCalibration(config, tracker, data) {
+  if (!config.persistCalibration) return;
+
+  const stored = loadCalibration(config);
+  if (data) {
+    stored[tracker] = data;
+  } else {
+    delete stored[tracker];
+  }
+
+  writeStorage(config.calibrationStorageKey, stored);
+}
+
+/**
+ * Remove all stored calibration data
+ * @param {Object} config
+ */
+export function clearCalibration(config) {
+  removeStorage(config.calibrationStorageKey);
+}
+
+/**
+ * Map a raw face position through a calibration
+ * @param {Object|null} calibration
+ * @param {{x: number, y: number, z: number}} position - Raw -1..1 position
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function applyFaceCalibration(calibration, position) {
+  if (!calibration) return position;
+
+  const { neutral, range, mirror } = calibration;
+  const axis = (value, key) => {
+    const normalized = clamp((value - neutral[key]) / range[key], -1, 1);
+    return mirror[key] ? -normalized : normalized;
+  };
+
+  return {
+    x: axis(position.x, 'x'),
+    y: axis(position.y, 'y'),
+    z: clamp(position.z - neutral.z, -1, 1)
+  };
+}
+
+/**
+ * Build a face calibration from the averaged step samples
+ * @param {Object} steps - Averaged samples keyed by step id
+ * @param {FaceTracker} tracker
+ * @returns {Object}
+ */
+function buildFaceCalibration(steps, tracker) {
+  const { center, right, up } = steps;
+  const deltaX = right.x - center.x;
+  const deltaY = up.y - center.y;
+
+  return {
+    neutral: { x: center.x, y: center.y, z: center.z },
+    range: {
+      x: Math.max(Math.abs(deltaX), MIN_RANGE),
+      y: Math.max(Math.abs(deltaY), MIN_RANGE)
+    },
+    // Moving right/up should read positive, flip axes that came out reversed
+    mirror: { x: deltaX < 0, y: deltaY < 0 },
+    baseFaceSize: tracker.baseFaceSize
+  };
+}
+
+/**
+ * Build a gyroscope calibration from the averaged step samples
+ * @param {Object} steps
+ * @returns {Object}
+ */
+function buildGyroscopeCalibration(steps) {
+  return {
+    neutralBeta: steps.center.beta,
+    neutralGamma: steps.center.gamma
+  };
+}
+
+/**
+ * One run of the guided calibration
+ * Emits 'step' (step, index, total) as each instruction starts
+ */
+export class CalibrationSession extends EventEmitter {
+  /**
+   * @param {string} name - 'face' or 'gyroscope'
+   * @param {Object} tracker - Tracker exposing getRawSample() and setCalibration()
+   * @param {Object} config
+   */
+  constructor(name, tracker, config) {
+    super();
+    this.name = name;
+    this.tracker = tracker;
+    this.config = config;
+    this.steps = STEPS[name];
+
+    this.isCancelled = false;
+    this.timer = null;
+    this.resolveStep = null;
+  }
+
+  /**
+   * Check whether a tracker can be calibrated
+   * @param {string} name
+   * @param {Object|null} tracker
+   * @returns {boolean}
+   */
+  static supports(name, tracker) {
+    return Boolean(STEPS[name] && tracker && tracker.getRawSample);
+  }
+
+  /**
+   * Walk through every step and apply the result to the tracker
+   * @returns {Promise<Object|null>} The calibration, or null if cancelled or no data came in
+   */
+  async run() {
+    // Measure uncalibrated values; depth is re-based on the center step
+    const previous = this.tracker.calibration || null;
+    this.tracker.setCalibration(null);
+    if (this.tracker.recalibrate) {
+      this.tracker.recalibrate();
+    }
+
+    const results = {};
+    for (let i = 0; i < this.steps.length; i++) {
+      const step = this.steps[i];
+      this.emit('step', step, i, this.steps.length);
+
+      const samples = await this.collect(this.config.calibrationStepDuration);
+      if (this.isCancelled || samples.length === 0) {
+        if (!this.isCancelled) {
+          console.warn(`Calibration step "${step.id}" got no ${this.name} data`);
+        }
+        this.tracker.setCalibration(previous);
+        return null;
+      }
+
+      results[step.id] = averageObjects(samples);
+    }
+
+    const calibration = this.name === 'face'
+      ? buildFaceCalibration(results, this.tracker)
+      : buildGyroscopeCalibration(results);
+
+    this.tracker.setCalibration(calibration);
+    saveCalibration(this.config, this.name, calibration);
+    return calibration;
+  }
+
+  /**
+   * Sample the tracker for a step, keeping the second half once the viewer has settled
+   * @param {number} duration - ms
+   * @returns {Promise<Object[]>}
+   */
+  collect(duration) {
+    const samples = [];
+    const settleTime = duration / 2;
+    const startTime = performance.now();
+
+    return new Promise((resolve) => {
+      this.resolveStep = resolve;
+      this.timer = setInterval(() => {
+        const elapsed = performance.now() - startTime;
+
+        if (this.isCancelled || elapsed >= duration) {
+          clearInterval(this.timer);
+          this.timer = null;
+          this.resolveStep = null;
+          resolve(samples);
+          return;
+        }
+
+        const sample = elapsed >= settleTime ? this.tracker.getRawSample() : null;
+        if (sample) {
+          samples.push(sample);
+        }
+      }, 50);
+    });
+  }
+
+  /**
+   * Abort the session, keeping the previous calibration
+   */
+  cancel() {
+    this.isCancelled = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.resolveStep) {
+      this.resolveStep([]);
+      this.resolveStep = null;
+    }
+  }
+}
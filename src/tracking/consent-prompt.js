@@ -0,0 +1,139 @@
+/**
+ * Camera Consent Prompt
+ * Explains head tracking before the browser's camera permission dialog appears
+ */
+
+let promptCount = 0;
+
+export class ConsentPrompt {
+  /**
+   * Mounted on document.body, background containers usually ignore pointer events and sit under the page
+   * @param {Object} config
+   */
+  constructor(config) {
+    this.config = config;
+    this.element = null;
+    this.onChoice = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Show the prompt
+   * @param {Function} onChoice - Receives true when the viewer accepts, false when they decline
+   */
+  show(onChoice) {
+    if (this.element) return;
+    this.onChoice = onChoice;
+
+    const id = `immersive-consent-${++promptCount}`;
+
+    // Non-modal: the page stays usable and focus is not taken away
+    this.element = document.createElement('div');
+    this.element.className = 'consent-prompt';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'false');
+    this.element.setAttribute('aria-labelledby', `${id}-title`);
+    this.element.setAttribute('aria-describedby', `${id}-text`);
+    this.element.style.cssText = `
+      position: fixed;
+      bottom: 2rem;
+      left: 50%;
+      transform: translateX(-50%);
+      width: min(24rem, calc(100% - 2rem));
+      padding: 1rem 1.25rem;
+      background: rgba(0, 0, 0, 0.6);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 1rem;
+      color: white;
+      font-size: 0.875rem;
+      line-height: 1.5;
+      backdrop-filter: blur(10px);
+      pointer-events: auto;
+      z-index: 100;
+    `;
+
+    const title = document.createElement('div');
+    title.id = `${id}-title`;
+    title.textContent = this.config.cameraConsentTitle;
+    title.style.cssText = 'font-weight: 600; margin-bottom: 0.25rem;';
+
+    const text = document.createElement('p');
+    text.id = `${id}-text`;
+    text.textContent = this.config.cameraConsentText;
+    text.style.cssText = 'margin: 0 0 0.75rem; opacity: 0.8;';
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 0.5rem; justify-content: flex-end;';
+
+    const decline = this.createButton(this.config.cameraConsentDecline, false);
+    const accept = this.createButton(this.config.cameraConsentAccept, true);
+    accept.style.background = 'rgba(255, 255, 255, 0.2)';
+
+    actions.appendChild(decline);
+    actions.appendChild(accept);
+    this.element.appendChild(title);
+    this.element.appendChild(text);
+    this.element.appendChild(actions);
+    this.element.addEventListener('keydown', this.handleKeyDown);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * @param {string} label
+   * @param {boolean} accepted
+   * @returns {HTMLButtonElement}
+   */
+  createButton(label, accepted) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 0.5rem 1rem;
+      background: transparent;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 2rem;
+      color: white;
+      font: inherit;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', () => this.choose(accepted));
+    return button;
+  }
+
+  /**
+   * Escape declines while focus is inside the prompt
+   * @param {KeyboardEvent} e
+   */
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.choose(false);
+    }
+  }
+
+  /**
+   * @param {boolean} accepted
+   */
+  choose(accepted) {
+    const onChoice = this.onChoice;
+    this.dispose();
+
+    if (onChoice) {
+      onChoice(accepted);
+    }
+  }
+
+  /**
+   * Remove the prompt without a choice
+   */
+  dispose() {
+    if (this.element) {
+      this.element.removeEventListener('keydown', this.handleKeyDown);
+      if (this.element.parentNode) {
+        this.element.parentNode.removeChild(this.element);
+      }
+    }
+    this.element = null;
+    this.onChoice = null;
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Camera Consent
+ * Asks before the camera permission dialog, remembers the viewer's choice
+ * and reports a privacy status for the face tracker
+ *
+ * Status shape:
+ * {
+ *   camera: 'off' | 'prompt' | 'requesting' | 'active' | 'blocked',
+ *   consent: 'granted' | 'denied' | null,
+ *   processing: 'on-device'   // frames go to the in-browser MediaPipe model only
+ * }
+ */
+
+import { EventEmitter } from '../utils/events.js';
+import { readStorage, writeStorage, removeStorage } from '../utils/storage.js';
+import { ConsentPrompt } from './consent-prompt.js';
+import { TrackingToggle } from './tracking-toggle.js';
+import { getPageState } from './shared-tracker.js';
+
+const CONSENT_VALUES = ['granted', 'denied'];
+
+// Shared by every background on the page, in both bundles: one choice, one prompt, one toggle
+const shared = getPageState('__IMMERSIVE_CONSENT__', () => ({
+  events: new EventEmitter(),
+  consent: null,
+  pendingRequest: null,
+  toggle: null,
+  toggleOwners: new Set()
+}));
+
+/**
+ * The viewer's camera choice
+ * @param {Object} config
+ * @returns {'granted'|'denied'|null} null when they have not chosen yet
+ */
+export function getCameraConsent(config) {
+  if (shared.consent) return shared.consent;
+  if (!config.rememberTrackingChoice) return null;
+
+  // Anything else stored (corrupt, older format) counts as no choice, so the prompt still shows
+  const stored = readStorage(config.trackingConsentStorageKey);
+  return CONSENT_VALUES.includes(stored) ? stored : null;
+}
+
+/**
+ * Record the viewer's camera choice
+ * @param {Object} config
+ * @param {'granted'|'denied'|null} consent - null forgets the choice
+ */
+export function setCameraConsent(config, consent) {
+  shared.consent = consent;
+
+  if (config.rememberTrackingChoice) {
+    if (consent) {
+      writeStorage(config.trackingConsentStorageKey, consent);
+    } else {
+      removeStorage(config.trackingConsentStorageKey);
+    }
+  }
+
+  shared.events.emit('change', consent);
+}
+
+/**
+ * Check whether the camera must wait for the consent prompt
+ * @param {Object} config
+ * @returns {boolean}
+ */
+export function needsCameraConsent(config) {
+  return config.cameraConsentPrompt && getCameraConsent(config) === null;
+}
+
+/**
+ * Show the page's tracking toggle for an instance, creating it for the first one
+ * The toggle switches tracking for every instance that shows it
+ * @param {CameraConsent} owner
+ */
+function attachToggle(owner) {
+  shared.toggleOwners.add(owner);
+  if (shared.toggle) return;
+
+  shared.toggle = new TrackingToggle((enabled) => {
+    const owners = [...shared.toggleOwners];
+    setCameraConsent(owners[0].config, enabled ? 'granted' : 'denied');
+
+    if (enabled) {
+      owners.forEach(item => item.startCamera());
+    }
+  });
+  shared.toggle.show();
+}
+
+/**
+ * Remove the toggle once no instance shows it
+ * @param {CameraConsent} owner
+ */
+function detachToggle(owner) {
+  shared.toggleOwners.delete(owner);
+
+  if (shared.toggleOwners.size === 0 && shared.toggle) {
+    shared.toggle.dispose();
+    shared.toggle = null;
+  }
+}
+
+/**
+ * Per-instance consent controller
+ * Shows the prompt and toggle and emits 'status' whenever the camera state changes
+ */
+export class CameraConsent extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {TrackerManager} trackerManager
+   */
+  constructor(config, trackerManager) {
+    super();
+    this.config = config;
+    this.trackerManager = trackerManager;
+
+    this.camera = 'off';
+    this.cameraAvailable = false;
+    this.prompt = null;
+    this.hasToggle = false;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Follow the face tracker and show the toggle if the camera can be used
+   * @param {boolean} cameraAvailable
+   */
+  init(cameraAvailable) {
+    const manager = this.trackerManager;
+    this.cameraAvailable = cameraAvailable;
+
+    this.unsubscribers.push(
+      manager.on('starting', (name) => {
+        if (name === 'face') this.setCamera('requesting');
+      }),
+      manager.on('failed', (name) => {
+        // Browser permission denied or no camera
+        if (name === 'face') this.setCamera('blocked');
+      }),
+      manager.on('change', (name, previous) => {
+        if (name === 'face') {
+          this.setCamera('active');
+        } else if (previous === 'face' || this.camera === 'requesting') {
+          this.setCamera('off');
+        }
+      }),
+      shared.events.on('change', (consent) => {
+        // An opt-out from any instance turns the shared camera off everywhere
+        if (consent === 'denied' && this.trackerManager) {
+          this.trackerManager.release('face');
+        }
+        this.emitStatus();
+      })
+    );
+
+    if (cameraAvailable && this.config.showTrackingToggle) {
+      attachToggle(this);
+      this.hasToggle = true;
+    }
+
+    this.emitStatus();
+  }
+
+  /**
+   * Ask the viewer before requesting the camera
+   * Only one prompt is shown per page, every instance waits on the same answer
+   * @returns {Promise<boolean>} Whether the camera was started
+   */
+  async request() {
+    let consent = getCameraConsent(this.config);
+
+    if (consent === null) {
+      this.setCamera('prompt');
+
+      if (!shared.pendingRequest) {
+        shared.pendingRequest = this.showPrompt();
+      }
+      consent = await shared.pendingRequest;
+    }
+
+    if (consent !== 'granted' || !this.trackerManager) {
+      this.setCamera('off');
+      return false;
+    }
+
+    return this.trackerManager.activate('face');
+  }
+
+  /**
+   * @returns {Promise<string|null>} The choice, or null if the prompt was removed
+   */
+  showPrompt() {
+    return new Promise((resolve) => {
+      this.prompt = new ConsentPrompt(this.config);
+
+      // Answered here, through a toggle or through the API of any instance
+      const unsubscribe = shared.events.on('change', (consent) => {
+        if (consent) this.resolvePrompt(consent);
+      });
+
+      this.resolvePrompt = (consent) => {
+        unsubscribe();
+        this.prompt.dispose();
+        this.prompt = null;
+        this.resolvePrompt = null;
+        shared.pendingRequest = null;
+        resolve(consent);
+      };
+
+      this.prompt.show((accepted) => {
+        setCameraConsent(this.config, accepted ? 'granted' : 'denied');
+      });
+    });
+  }
+
+  /**
+   * Turn camera tracking on or off and remember the choice
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Whether the camera is running afterwards
+   */
+  async setEnabled(enabled) {
+    // Turning off releases the camera through the consent change listener
+    setCameraConsent(this.config, enabled ? 'granted' : 'denied');
+    return enabled ? this.startCamera() : false;
+  }
+
+  /**
+   * Switch to the face tracker, consent must already be granted
+   * @returns {Promise<boolean>} Whether the camera is running afterwards
+   */
+  async startCamera() {
+    if (!this.cameraAvailable || !this.trackerManager) return false;
+    return this.trackerManager.activate('face');
+  }
+
+  /**
+   * @param {string} camera
+   */
+  setCamera(camera) {
+    if (this.camera === camera) return;
+    this.camera = camera;
+    this.emitStatus();
+  }
+
+  /**
+   * @returns {Object} See the status shape at the top of this file
+   */
+  getStatus() {
+    return {
+      camera: this.camera,
+      consent: getCameraConsent(this.config),
+      processing: 'on-device'
+    };
+  }
+
+  emitStatus() {
+    const status = this.getStatus();
+
+    if (this.hasToggle && shared.toggle) {
+      shared.toggle.setState(status.consent === 'granted' && status.camera !== 'blocked');
+    }
+
+    this.emit('status', status);
+  }
+
+  /**
+   * Remove the prompt, and the toggle if no other instance shows it
+   * Other instances waiting on this prompt see no answer and stay off
+   */
+  dispose() {
+    if (this.prompt) {
+      this.resolvePrompt(null);
+    }
+
+    if (this.hasToggle) {
+      detachToggle(this);
+      this.hasToggle = false;
+    }
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.trackerManager = null;
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Built-in tracker registrations shared by both backgrounds
+ */
+
+import { FaceTracker } from './face-tracker.js';
+import { GyroscopeTracker } from './gyroscope.js';
+import { MouseTracker } from './mouse.js';
+import { FallbackAnimator } from './fallback.js';
+import { acquireTracker } from './shared-tracker.js';
+import { getCameraConsent, needsCameraConsent } from './consent.js';
+import { TRACKER_PRIORITY } from './tracker-manager.js';
+import {
+  isMobile,
+  hasGyroscope,
+  hasCameraAccess,
+  gyroscopeNeedsPermission
+} from '../utils/device.js';
+
+/**
+ * Register face, gyroscope, mouse and fallback trackers
+ * Face and gyroscope go through the shared registry so every instance
+ * on the page uses one camera stream / orientation listener
+ * @param {TrackerManager} manager
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {boolean} [options.mouse=false] - Register the mouse/touch tracker
+ * @param {HTMLElement} [options.element] - Element the mouse position is mapped across
+ * @param {boolean} [options.cameraPreview=true] - Ask for the camera preview while face tracking
+ */
+export function registerDefaultTrackers(manager, config, { mouse = false, element, cameraPreview = true } = {}) {
+  // Desktop: face tracking, requested after a delay to let the page settle
+  // Waits for the consent prompt and stays off once the viewer opts out
+  manager.register(
+    'face',
+    (trackerConfig, onUpdate) => acquireTracker('face', FaceTracker, trackerConfig, onUpdate, { preview: cameraPreview }),
+    {
+      priority: TRACKER_PRIORITY.face,
+      delay: config.cameraRequestDelay,
+      isAvailable: () => !isMobile() && hasCameraAccess() && getCameraConsent(config) !== 'denied',
+      needsPermission: () => needsCameraConsent(config)
+    }
+  );
+
+  // Mobile: gyroscope, behind a user gesture on iOS
+  manager.register(
+    'gyroscope',
+    (trackerConfig, onUpdate) => acquireTracker('gyroscope', GyroscopeTracker, trackerConfig, onUpdate),
+    {
+      priority: TRACKER_PRIORITY.gyroscope,
+      isAvailable: () => isMobile() && hasGyroscope(),
+      needsPermission: () => gyroscopeNeedsPermission()
+    }
+  );
+
+  if (mouse) {
+    manager.register(
+      'mouse',
+      (trackerConfig, onUpdate) => new MouseTracker(trackerConfig, onUpdate, element),
+      { priority: TRACKER_PRIORITY.mouse }
+    );
+  }
+
+  manager.register(
+    'fallback',
+    (trackerConfig, onUpdate) => new FallbackAnimator(trackerConfig, onUpdate),
+    { priority: TRACKER_PRIORITY.fallback }
+  );
+}
@@ -0,0 +1,87 @@
+/**
+ * Head pose estimation from MediaPipe face detection keypoints
+ * Gives eye midpoint, metric distance (from inter-pupillary distance)
+ * and approximate yaw / pitch / roll
+ */
+
+import { clamp, degToRad } from '../utils/math.js';
+
+// Keypoint order returned by MediaPipe face detection
+export const KEYPOINT = {
+  rightEye: 0,
+  leftEye: 1,
+  noseTip: 2,
+  mouthCenter: 3,
+  rightEar: 4,
+  leftEar: 5
+};
+
+// Nose tip sits roughly halfway between the eye line and the mouth when facing the camera
+const NEUTRAL_PITCH_RATIO = 0.5;
+
+/**
+ * Estimate head pose from the six face detection keypoints
+ * Coordinates are mirrored so the result reads like a mirror:
+ * positive yaw = head turned to the user's right, positive pitch = looking up,
+ * positive roll = head tilted clockwise on screen
+ * @param {{x: number, y: number}[]} landmarks - Normalized keypoints (0-1)
+ * @param {number} videoWidth - Video width in pixels
+ * @param {number} videoHeight - Video height in pixels
+ * @param {Object} config
+ * @param {number} config.webcamFOV - Horizontal webcam field of view in degrees
+ * @param {number} config.interPupillaryDistance - Assumed eye distance in metres
+ * @returns {{eyeX: number, eyeY: number, distance: number, yaw: number, pitch: number, roll: number}|null}
+ */
+export function estimateFacePose(landmarks, videoWidth, videoHeight, config) {
+  if (!landmarks || landmarks.length < 6) return null;
+
+  // Mirror horizontally and convert to pixels so angles are not skewed by aspect
+  const point = (index) => ({
+    x: (1 - landmarks[index].x) * videoWidth,
+    y: landmarks[index].y * videoHeight
+  });
+
+  const rightEye = point(KEYPOINT.rightEye);
+  const leftEye = point(KEYPOINT.leftEye);
+  const nose = point(KEYPOINT.noseTip);
+  const mouth = point(KEYPOINT.mouthCenter);
+  const rightEar = point(KEYPOINT.rightEar);
+  const leftEar = point(KEYPOINT.leftEar);
+
+  const eyeMid = {
+    x: (rightEye.x + leftEye.x) / 2,
+    y: (rightEye.y + leftEye.y) / 2
+  };
+
+  // Roll: slope of the eye line (eyes ordered left to right on screen)
+  const [firstEye, secondEye] = rightEye.x < leftEye.x ? [rightEye, leftEye] : [leftEye, rightEye];
+  const roll = Math.atan2(secondEye.y - firstEye.y, secondEye.x - firstEye.x);
+
+  // Yaw: where the nose sits between the ears (0.5 = facing the camera)
+  // Mirrored, the right ear is on screen right, so turning right moves the nose toward it
+  const earSpan = leftEar.x - rightEar.x;
+  const noseRatio = earSpan !== 0 ? (nose.x - rightEar.x) / earSpan : 0.5;
+  const yaw = Math.asin(clamp((0.5 - noseRatio) * 2, -1, 1));
+
+  // Pitch: where the nose sits between the eye line and the mouth
+  const faceHeight = mouth.y - eyeMid.y;
+  const pitchRatio = faceHeight !== 0 ? (nose.y - eyeMid.y) / faceHeight : NEUTRAL_PITCH_RATIO;
+  const pitch = Math.asin(clamp((NEUTRAL_PITCH_RATIO - pitchRatio) * 2, -1, 1));
+
+  // Distance: pinhole model using the eye distance, undoing yaw foreshortening
+  const eyeDistancePx = Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y)
+    / Math.max(Math.cos(yaw), 0.3);
+  const focalLengthPx = (videoWidth / 2) / Math.tan(degToRad(config.webcamFOV) / 2);
+  const distance = eyeDistancePx > 0
+    ? (focalLengthPx * config.interPupillaryDistance) / eyeDistancePx
+    : config.viewingDistance;
+
+  return {
+    eyeX: eyeMid.x / videoWidth,
+    eyeY: eyeMid.y / videoHeight,
+    distance,
+    yaw,
+    pitch,
+    roll
+  };
+}
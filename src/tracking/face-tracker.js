@@ -3,7 +3,14 @@
  * Tracks user's face position for head-coupled perspective
  */
 
-import { mapRange, clamp } from '../utils/math.js';
+import { mapRange, clamp, expDecay, averageObjects } from '../utils/math.js';
+import { estimateFacePose } from './face-pose.js';
+import { loadCalibration, applyFaceCalibration } from './calibration.js';
+import { ViewerSelector } from './viewer-selection.js';
+
+// expDecay rate per ms, tuned at the default 20fps detection rate
+// Detection smoothing only applies when no tracking filter is configured
+const DETECTION_DECAY = -Math.log(1 - 0.15) / 50;
 
 export class FaceTracker {
   constructor(config, onUpdate) {
@@ -16,6 +23,7 @@ export class FaceTracker {
     this.faceDetection = null;
     this.isRunning = false;
     this.isInitialized = false;
+    this.isStopped = false;
     this.detectionInterval = null;
     
     // Camera preview element
@@ -29,6 +37,29 @@ export class FaceTracker {
     
     // Smoothed position
     this.smoothedPosition = { x: 0, y: 0, z: 0 };
+    this.lastResultTime = null;
+    
+    // Uncalibrated position of the last detection, sampled during calibration
+    this.rawPosition = null;
+    this.lastDetectionTime = 0;
+    
+    // Chooses which face to follow when several people are in view
+    this.viewerSelector = new ViewerSelector(config);
+    
+    // Neutral pose, range and mirroring from a previous calibration
+    this.calibration = null;
+    this.setCalibration(loadCalibration(config).face || null);
+    
+    // Smoothed head pose (keypoints mode only), radians and metres
+    this.smoothedPose = { yaw: 0, pitch: 0, roll: 0, distance: config.viewingDistance };
+  }
+  
+  /**
+   * Check if keypoint tracking (eyes, metric depth, head rotation) is enabled
+   * @returns {boolean}
+   */
+  usesKeypoints() {
+    return this.config.faceTrackingMode === 'keypoints';
   }
   
   /**
@@ -59,6 +90,14 @@ export class FaceTracker {
     }
   }
   
+  /**
+   * Base URL for the MediaPipe script and its wasm/model files
+   * @returns {string}
+   */
+  getMediaPipeBasePath() {
+    return this.config.mediapipeBasePath.replace(/\/+$/, '');
+  }
+  
   /**
    * Load MediaPipe library dynamically
    */
@@ -73,7 +112,7 @@ export class FaceTracker {
       
       // Load the face detection script
       const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/face_detection.js';
+      script.src = `${this.getMediaPipeBasePath()}/face_detection.js`;
       script.crossOrigin = 'anonymous';
       
       script.onload = () => {
@@ -82,9 +121,11 @@ export class FaceTracker {
         resolve();
       };
       
-      script.onerror = (err) => {
-        console.error('Failed to load MediaPipe:', err);
-        reject(err);
+      script.onerror = () => {
+        // Usually a CSP rule or firewall blocking the CDN
+        const error = new Error(`Failed to load MediaPipe from ${script.src}`);
+        console.error(`${error.message}. If third-party scripts are blocked, self-host the assets and set mediapipeBasePath.`);
+        reject(error);
       };
       
       document.head.appendChild(script);
@@ -97,12 +138,12 @@ export class FaceTracker {
   setupFaceDetection() {
     this.faceDetection = new window.FaceDetection({
       locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/${file}`;
+        return `${this.getMediaPipeBasePath()}/${file}`;
       }
     });
     
     this.faceDetection.setOptions({
-      model: 'short',
+      model: this.config.faceDetectionModel,
       minDetectionConfidence: 0.5
     });
     
@@ -114,6 +155,10 @@ export class FaceTracker {
    * @returns {Promise<boolean>}
    */
   async start() {
+    this.isStopped = false;
+    this.lastResultTime = null;
+    this.viewerSelector.reset();
+    
     if (!this.isInitialized) {
       const initialized = await this.initialize();
       if (!initialized) return false;
@@ -132,6 +177,12 @@ export class FaceTracker {
       
       console.log('Camera access granted');
       
+      // stop() was called while the permission prompt was open
+      if (this.isStopped) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+      }
+      
       this.video.srcObject = stream;
       
       // Wait for video to be ready
@@ -148,7 +199,9 @@ export class FaceTracker {
       console.log('Video stream ready:', this.video.videoWidth, 'x', this.video.videoHeight);
       
       // Create camera preview
-      this.createPreview();
+      if (this.config.showCameraPreview) {
+        this.createPreview();
+      }
       
       this.isRunning = true;
       this.startDetectionLoop();
@@ -166,6 +219,8 @@ export class FaceTracker {
    */
   createPreview() {
     this.previewContainer = document.createElement('div');
+    this.previewContainer.setAttribute('role', 'img');
+    this.previewContainer.setAttribute('aria-label', 'Camera preview, processed on this device only');
     this.previewContainer.style.cssText = `
       position: fixed;
       bottom: 20px;
@@ -225,21 +280,82 @@ export class FaceTracker {
    * @param {Object} results
    */
   handleResults(results) {
-    if (!results.detections || results.detections.length === 0) {
-      // No face detected - gradually return to center
-      this.smoothedPosition.x *= 0.92;
-      this.smoothedPosition.y *= 0.92;
-      this.smoothedPosition.z *= 0.92;
-      
+    const now = performance.now();
+    const deltaTime = this.lastResultTime === null
+      ? 1000 / this.config.faceDetectionFPS
+      : now - this.lastResultTime;
+    this.lastResultTime = now;
+    
+    const viewers = this.viewerSelector.select(results.detections || [], now);
+    
+    if (viewers.length === 0) {
+      // No face detected - TrackingRecovery holds, eases back and animates
       if (this.onUpdate) {
-        this.onUpdate(this.smoothedPosition.x, this.smoothedPosition.y, this.smoothedPosition.z);
+        this.onUpdate(null);
       }
       return;
     }
     
-    const detection = results.detections[0];
-    const bbox = detection.boundingBox;
+    // Crowd mode averages every viewer, otherwise there is exactly one
+    const measurements = viewers.map(detection => this.measureViewer(detection));
+    const raw = averageObjects(measurements.map(measurement => measurement.position));
+    const poses = measurements.map(measurement => measurement.pose).filter(Boolean);
+    const pose = poses.length > 0 ? averageObjects(poses) : null;
+    
+    this.rawPosition = raw;
+    this.lastDetectionTime = now;
+    const target = applyFaceCalibration(this.calibration, raw);
+    
+    // The tracking filter smooths positions downstream, smoothing here too only adds lag
+    const filtered = this.config.trackingFilter && this.config.trackingFilter !== 'none';
+    const smooth = (current, target) => expDecay(current, target, DETECTION_DECAY, deltaTime);
+    
+    if (filtered) {
+      this.smoothedPosition.x = target.x;
+      this.smoothedPosition.y = target.y;
+      this.smoothedPosition.z = target.z;
+    } else {
+      this.smoothedPosition.x = smooth(this.smoothedPosition.x, target.x);
+      this.smoothedPosition.y = smooth(this.smoothedPosition.y, target.y);
+      this.smoothedPosition.z = smooth(this.smoothedPosition.z, target.z);
+    }
+    
+    // Head pose is not filtered downstream
+    if (pose) {
+      this.smoothedPose.yaw = smooth(this.smoothedPose.yaw, pose.yaw);
+      this.smoothedPose.pitch = smooth(this.smoothedPose.pitch, pose.pitch);
+      this.smoothedPose.roll = smooth(this.smoothedPose.roll, pose.roll);
+      this.smoothedPose.distance = smooth(this.smoothedPose.distance, pose.distance);
+    }
     
+    this.emitUpdate();
+  }
+  
+  /**
+   * Position (and head pose in keypoints mode) of one detected face
+   * @param {Object} detection
+   * @returns {{position: {x: number, y: number, z: number}, pose: Object|null}}
+   */
+  measureViewer(detection) {
+    const pose = this.usesKeypoints()
+      ? estimateFacePose(detection.landmarks, this.video.videoWidth, this.video.videoHeight, this.config)
+      : null;
+    
+    // Keypoints can be missing on partial detections - fall back to the box
+    const position = pose
+      ? this.getKeypointPosition(pose)
+      : this.getBoundingBoxPosition(detection.boundingBox, this.viewerSelector.getBaseSize(detection));
+    
+    return { position, pose };
+  }
+  
+  /**
+   * Map the face bounding box to a -1..1 position
+   * @param {{xCenter: number, yCenter: number, width: number, height: number}} bbox
+   * @param {number|null} [baseSize] - Crowd viewer's own reference size, defaults to this.baseFaceSize
+   * @returns {{x: number, y: number, z: number}}
+   */
+  getBoundingBoxPosition(bbox, baseSize = null) {
     // Get normalized center of face (0-1 range from video)
     const centerX = bbox.xCenter;
     const centerY = bbox.yCenter;
@@ -256,27 +372,54 @@ export class FaceTracker {
     // Video is mirrored, so camera moves WITH the user for window effect:
     // User moves RIGHT → face appears on LEFT of video → camera should move RIGHT
     // centerX 0 = face on left of video = user moved right = camera X positive
-    const rawX = mapRange(centerX, 0, 1, 1, -1);
+    const x = mapRange(centerX, 0, 1, 1, -1);
     
     // Y: face moves up in video → user moved down → camera should move down
     // centerY 0 = top of video = user moved up = camera Y positive
-    const rawY = mapRange(centerY, 0, 1, 1, -1);
+    const y = mapRange(centerY, 0, 1, 1, -1);
     
     // Z: based on face size relative to base
     // Larger face = user closer → camera moves closer (negative Z offset)
     // Smaller face = user further → camera moves back (positive Z offset)
-    const sizeRatio = faceSize / this.baseFaceSize;
+    const sizeRatio = faceSize / (baseSize ?? this.baseFaceSize);
     // Invert: larger face (>1) = negative Z (closer), smaller face (<1) = positive Z (further)
-    const rawZ = clamp(mapRange(sizeRatio, 0.6, 1.6, 1, -1), -1, 1);
+    const z = clamp(mapRange(sizeRatio, 0.6, 1.6, 1, -1), -1, 1);
+    
+    return { x, y, z };
+  }
+  
+  /**
+   * Map an estimated head pose to a -1..1 position
+   * Uses the eye midpoint for X/Y and metric distance for Z, so depth
+   * does not depend on the first frame like the bounding box mode
+   * @param {{eyeX: number, eyeY: number, distance: number}} pose
+   * @returns {{x: number, y: number, z: number}}
+   */
+  getKeypointPosition(pose) {
+    const { viewingDistance } = this.config;
     
-    // Apply smoothing - lower = smoother but slower response
-    const smooth = 0.15;
-    this.smoothedPosition.x += (rawX - this.smoothedPosition.x) * smooth;
-    this.smoothedPosition.y += (rawY - this.smoothedPosition.y) * smooth;
-    this.smoothedPosition.z += (rawZ - this.smoothedPosition.z) * smooth;
+    // Pose coordinates are already mirrored
+    const x = mapRange(pose.eyeX, 0, 1, -1, 1);
+    const y = mapRange(pose.eyeY, 0, 1, 1, -1);
     
-    if (this.onUpdate) {
-      this.onUpdate(this.smoothedPosition.x, this.smoothedPosition.y, this.smoothedPosition.z);
+    // Closer than the viewing distance = negative Z, further = positive Z
+    const z = clamp(mapRange(pose.distance, viewingDistance * 0.5, viewingDistance * 1.5, -1, 1), -1, 1);
+    
+    return { x, y, z };
+  }
+  
+  /**
+   * Send the smoothed position (and head pose in keypoints mode) to the listener
+   */
+  emitUpdate() {
+    if (!this.onUpdate) return;
+    
+    const { x, y, z } = this.smoothedPosition;
+    
+    if (this.usesKeypoints()) {
+      this.onUpdate(x, y, z, { ...this.smoothedPose });
+    } else {
+      this.onUpdate(x, y, z);
     }
   }
   
@@ -285,6 +428,7 @@ export class FaceTracker {
    */
   stop() {
     this.isRunning = false;
+    this.isStopped = true;
     
     if (this.detectionInterval) {
       clearTimeout(this.detectionInterval);
@@ -304,6 +448,7 @@ export class FaceTracker {
     if (this.previewContainer && this.previewContainer.parentNode) {
       this.previewContainer.parentNode.removeChild(this.previewContainer);
     }
+    this.previewContainer = null;
   }
   
   /**
@@ -322,11 +467,45 @@ export class FaceTracker {
     return { ...this.smoothedPosition };
   }
   
+  /**
+   * Get last known head pose (keypoints mode)
+   * @returns {{yaw: number, pitch: number, roll: number, distance: number}}
+   */
+  getLastPose() {
+    return { ...this.smoothedPose };
+  }
+  
   /**
    * Reset the base face size (recalibrate depth)
    */
   recalibrate() {
     this.baseFaceSize = null;
+    this.viewerSelector.reset();
+  }
+  
+  /**
+   * Apply a calibration from CalibrationSession (null for none)
+   * @param {Object|null} calibration
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration;
+    
+    // Depth is relative to the face size captured while calibrating
+    if (calibration && calibration.baseFaceSize) {
+      this.baseFaceSize = calibration.baseFaceSize;
+    }
+  }
+  
+  /**
+   * Latest uncalibrated position, or null if no face was seen recently
+   * @returns {{x: number, y: number, z: number}|null}
+   */
+  getRawSample() {
+    const maxAge = 3000 / this.config.faceDetectionFPS;
+    if (!this.rawPosition || performance.now() - this.lastDetectionTime > maxAge) {
+      return null;
+    }
+    return { ...this.rawPosition };
   }
   
   /**
@@ -334,6 +513,11 @@ export class FaceTracker {
    * @param {boolean} visible
    */
   setPreviewVisible(visible) {
+    // Not created at start when the config turned it off
+    if (visible && !this.previewContainer && this.isRunning) {
+      this.createPreview();
+    }
+    
     if (this.previewContainer) {
       this.previewContainer.style.display = visible ? 'block' : 'none';
     }
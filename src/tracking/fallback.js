@@ -3,6 +3,31 @@
  * Provides subtle ambient camera movement when tracking is unavailable
  */
 
+import { lerp, smoothstep } from '../utils/math.js';
+import { createAmbientPath } from './ambient-paths.js';
+
+// prefers-reduced-motion slows the paths down and keeps them near the center
+const REDUCED_MOTION_SPEED = 0.3;
+const REDUCED_MOTION_RADIUS = { x: 0.1, y: 0.05 };
+
+/**
+ * Normalize config.fallbackMode to weighted path specs
+ * @param {string|Object|Object[]} mode - 'wander', { mode: 'wander' } or [{ mode, weight }, ...]
+ * @returns {{spec: Object, weight: number}[]}
+ */
+function normalizeModes(mode) {
+  const specs = (Array.isArray(mode) ? mode : [mode])
+    .map(item => (typeof item === 'string' ? { mode: item } : item))
+    .filter(Boolean);
+  
+  if (specs.length === 0) {
+    return [{ spec: { mode: 'lissajous' }, weight: 1 }];
+  }
+  
+  const total = specs.reduce((sum, spec) => sum + (spec.weight ?? 1), 0) || 1;
+  return specs.map(spec => ({ spec, weight: (spec.weight ?? 1) / total }));
+}
+
 export class FallbackAnimator {
   constructor(config, onUpdate) {
     this.config = config;
@@ -10,26 +35,46 @@ export class FallbackAnimator {
     
     this.isRunning = false;
     this.startTime = 0;
+    this.reducedMotion = false;
     
-    // Animation parameters for figure-8 motion
-    this.frequency = {
-      x: 1,
-      y: 2 // Creates figure-8 pattern
-    };
+    // Paths read speed and radius through this view, so reduced motion leaves the shared config alone
+    this.pathConfig = Object.create(config, {
+      fallbackAnimationSpeed: {
+        get: () => config.fallbackAnimationSpeed * (this.reducedMotion ? REDUCED_MOTION_SPEED : 1)
+      },
+      fallbackAnimationRadius: {
+        get: () => (this.reducedMotion ? REDUCED_MOTION_RADIUS : config.fallbackAnimationRadius)
+      }
+    });
     
-    // Phase offset for more organic motion
-    this.phase = {
-      x: 0,
-      y: Math.PI / 4
-    };
+    // Weighted ambient paths, mixed every frame
+    this.layers = this.createLayers(config.fallbackMode);
+    
+    // Previous layers while crossfading to a new mode
+    this.previousLayers = null;
+    this.blendStart = 0;
+    this.blendDuration = 0;
+  }
+  
+  /**
+   * @param {string|Object|Object[]} mode
+   * @returns {{path: Object, weight: number}[]}
+   */
+  createLayers(mode) {
+    return normalizeModes(mode).map(({ spec, weight }) => ({
+      path: createAmbientPath(spec, this.pathConfig),
+      weight
+    }));
   }
   
   /**
    * Start the fallback animation
+   * @returns {boolean} Always true - the fallback cannot fail
    */
   start() {
     this.isRunning = true;
     this.startTime = performance.now();
+    return true;
   }
   
   /**
@@ -49,25 +94,62 @@ export class FallbackAnimator {
     }
     
     const elapsed = time - this.startTime;
-    const speed = this.config.fallbackAnimationSpeed;
-    const radius = this.config.fallbackAnimationRadius;
-    
-    // Create smooth figure-8 / lemniscate motion
-    // Using different frequencies creates the crossover pattern
-    const t = elapsed * speed;
+    let position = this.sampleLayers(this.layers, elapsed);
     
-    // Lissajous curve for organic motion
-    const x = Math.sin(t * this.frequency.x + this.phase.x) * radius.x;
-    const y = Math.sin(t * this.frequency.y + this.phase.y) * radius.y;
-    
-    // Add subtle breathing/pulse effect with slower oscillation
-    const breathe = Math.sin(t * 0.3) * 0.1;
+    // Crossfade from the previous mode
+    if (this.previousLayers) {
+      const weight = this.blendDuration > 0 ? smoothstep(0, this.blendDuration, time - this.blendStart) : 1;
+      const previous = this.sampleLayers(this.previousLayers, elapsed);
+      
+      position = {
+        x: lerp(previous.x, position.x, weight),
+        y: lerp(previous.y, position.y, weight),
+        z: lerp(previous.z, position.z, weight)
+      };
+      
+      if (weight >= 1) {
+        this.previousLayers = null;
+      }
+    }
     
     if (this.onUpdate) {
-      this.onUpdate(x, y + breathe, 0);
+      this.onUpdate(position.x, position.y, position.z);
     }
   }
   
+  /**
+   * Weighted sum of every layer
+   * @param {{path: Object, weight: number}[]} layers
+   * @param {number} elapsed - ms since start
+   * @returns {{x: number, y: number, z: number}}
+   */
+  sampleLayers(layers, elapsed) {
+    const position = { x: 0, y: 0, z: 0 };
+    
+    for (const { path, weight } of layers) {
+      const sample = path.sample(elapsed);
+      position.x += sample.x * weight;
+      position.y += sample.y * weight;
+      position.z += sample.z * weight;
+    }
+    
+    return position;
+  }
+  
+  /**
+   * Switch ambient mode, crossfading from the current one
+   * @param {string|Object|Object[]} mode - Same forms as config.fallbackMode
+   * @param {number} [blendTime] - ms, defaults to config.fallbackBlendTime
+   */
+  setMode(mode, blendTime = this.config.fallbackBlendTime) {
+    this.config.fallbackMode = mode;
+    
+    this.previousLayers = this.isRunning ? this.layers : null;
+    this.blendStart = performance.now();
+    this.blendDuration = blendTime;
+    this.layers = this.createLayers(mode);
+  }
+  
   /**
    * Check if animation is currently running
    * @returns {boolean}
@@ -76,6 +158,14 @@ export class FallbackAnimator {
     return this.isRunning;
   }
   
+  /**
+   * Slow, smaller movement for prefers-reduced-motion
+   * @param {boolean} enabled
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+  }
+  
   /**
    * Set animation speed
    * @param {number} speed
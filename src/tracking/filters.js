@@ -0,0 +1,252 @@
+/**
+ * Tracking Filters
+ * Smooth tracker output between the trackers and the scene
+ *
+ * - One-Euro: adaptive low-pass, heavy smoothing when still, light when moving fast
+ * - Kalman: constant-velocity model with optional short-horizon prediction
+ *
+ * Both work on real timestamps so the result does not depend on frame rate
+ */
+
+import { clamp } from '../utils/math.js';
+
+// Smallest time step used, guards against duplicate timestamps
+const MIN_DELTA = 0.001;
+
+/**
+ * Simple exponential low-pass filter, the building block of One-Euro
+ */
+class LowPassFilter {
+  constructor() {
+    this.value = null;
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} alpha - 0..1, weight of the new value
+   * @returns {number}
+   */
+  filter(value, alpha) {
+    this.value = this.value === null ? value : alpha * value + (1 - alpha) * this.value;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+/**
+ * One-Euro filter (Casiez et al. 2012)
+ * The cutoff frequency rises with speed, trading jitter for lag only when still
+ */
+export class OneEuroFilter {
+  /**
+   * @param {Object} options
+   * @param {number} options.minCutoff - Cutoff in Hz when still (lower = less jitter)
+   * @param {number} options.beta - Cutoff increase per unit/s of speed (higher = less lag)
+   * @param {number} options.derivativeCutoff - Cutoff in Hz for the speed estimate
+   */
+  constructor({ minCutoff, beta, derivativeCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+
+    this.valueFilter = new LowPassFilter();
+    this.derivativeFilter = new LowPassFilter();
+    this.lastTime = null;
+  }
+
+  /**
+   * @param {number} cutoff - Hz
+   * @param {number} dt - Seconds
+   * @returns {number}
+   */
+  static alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} time - Timestamp in ms
+   * @returns {number}
+   */
+  filter(value, time) {
+    if (this.lastTime === null) {
+      this.lastTime = time;
+      this.derivativeFilter.filter(0, 1);
+      return this.valueFilter.filter(value, 1);
+    }
+
+    const dt = Math.max((time - this.lastTime) / 1000, MIN_DELTA);
+    this.lastTime = time;
+
+    const speed = (value - this.valueFilter.value) / dt;
+    const smoothedSpeed = this.derivativeFilter.filter(speed, OneEuroFilter.alpha(this.derivativeCutoff, dt));
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(smoothedSpeed);
+    return this.valueFilter.filter(value, OneEuroFilter.alpha(cutoff, dt));
+  }
+
+  reset() {
+    this.valueFilter.reset();
+    this.derivativeFilter.reset();
+    this.lastTime = null;
+  }
+}
+
+/**
+ * 1D constant-velocity Kalman filter
+ * State is [position, velocity], measurements are positions
+ */
+export class KalmanFilter {
+  /**
+   * @param {Object} options
+   * @param {number} options.processNoise - How quickly the velocity may change
+   * @param {number} options.measurementNoise - Expected jitter of the measurements
+   * @param {number} [options.predictionTime=0] - ms to extrapolate the output ahead
+   */
+  constructor({ processNoise, measurementNoise, predictionTime = 0 }) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.predictionTime = predictionTime;
+    this.reset();
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} time - Timestamp in ms
+   * @returns {number}
+   */
+  filter(value, time) {
+    if (this.lastTime === null) {
+      this.lastTime = time;
+      this.position = value;
+      return value;
+    }
+
+    const dt = Math.max((time - this.lastTime) / 1000, MIN_DELTA);
+    this.lastTime = time;
+
+    this.predict(dt);
+    this.correct(value);
+
+    return this.position + this.velocity * (this.predictionTime / 1000);
+  }
+
+  /**
+   * Advance the state by dt seconds
+   * Process noise models random acceleration
+   * @param {number} dt
+   */
+  predict(dt) {
+    const q = this.processNoise;
+    const [p00, p01, p10, p11] = this.covariance;
+
+    this.position += this.velocity * dt;
+
+    this.covariance = [
+      p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3,
+      p01 + dt * p11 + q * dt * dt / 2,
+      p10 + dt * p11 + q * dt * dt / 2,
+      p11 + q * dt
+    ];
+  }
+
+  /**
+   * Blend a position measurement into the state
+   * @param {number} measurement
+   */
+  correct(measurement) {
+    const [p00, p01, p10, p11] = this.covariance;
+    const innovation = measurement - this.position;
+    const s = p00 + this.measurementNoise;
+    const k0 = p00 / s;
+    const k1 = p10 / s;
+
+    this.position += k0 * innovation;
+    this.velocity += k1 * innovation;
+
+    this.covariance = [
+      (1 - k0) * p00,
+      (1 - k0) * p01,
+      p10 - k1 * p00,
+      p11 - k1 * p01
+    ];
+  }
+
+  reset() {
+    this.position = 0;
+    this.velocity = 0;
+    this.covariance = [1, 0, 0, 1];
+    this.lastTime = null;
+  }
+}
+
+/**
+ * Filters x/y/z tracker output with one filter per axis
+ */
+export class TrackingFilter {
+  /**
+   * @param {Function} createAxisFilter - () => filter with filter(value, time) and reset()
+   */
+  constructor(createAxisFilter) {
+    this.axes = {
+      x: createAxisFilter(),
+      y: createAxisFilter(),
+      z: createAxisFilter()
+    };
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} [time] - Timestamp in ms, defaults to now
+   * @returns {{x: number, y: number, z: number}}
+   */
+  filter(x, y, z, time = performance.now()) {
+    // Prediction can overshoot, keep the -1..1 tracker contract
+    return {
+      x: clamp(this.axes.x.filter(x, time), -1, 1),
+      y: clamp(this.axes.y.filter(y, time), -1, 1),
+      z: clamp(this.axes.z.filter(z, time), -1, 1)
+    };
+  }
+
+  reset() {
+    this.axes.x.reset();
+    this.axes.y.reset();
+    this.axes.z.reset();
+  }
+}
+
+/**
+ * Build the filter selected by config.trackingFilter
+ * @param {Object} config
+ * @returns {TrackingFilter|null} null when filtering is disabled
+ */
+export function createTrackingFilter(config) {
+  switch (config.trackingFilter) {
+    case 'oneEuro':
+      return new TrackingFilter(() => new OneEuroFilter({
+        minCutoff: config.filterMinCutoff,
+        beta: config.filterBeta,
+        derivativeCutoff: config.filterDerivativeCutoff
+      }));
+    case 'kalman':
+      return new TrackingFilter(() => new KalmanFilter({
+        processNoise: config.kalmanProcessNoise,
+        measurementNoise: config.kalmanMeasurementNoise,
+        predictionTime: config.predictionTime
+      }));
+    case 'none':
+    case null:
+    case undefined:
+      return null;
+    default:
+      console.warn(`Unknown trackingFilter "${config.trackingFilter}", tracking is unfiltered`);
+      return null;
+  }
+}
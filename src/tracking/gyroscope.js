@@ -4,6 +4,12 @@
  */
 
 import { mapRange, clamp } from '../utils/math.js';
+import { loadCalibration } from './calibration.js';
+
+// Assume user holds phone roughly upright (beta around 45-90 degrees)
+// Neutral: beta ~ 45 (holding phone at comfortable angle)
+const DEFAULT_NEUTRAL_BETA = 45;
+const DEFAULT_NEUTRAL_GAMMA = 0;
 
 export class GyroscopeTracker {
   constructor(config, onUpdate) {
@@ -16,6 +22,10 @@ export class GyroscopeTracker {
     
     // Current orientation values
     this.currentOrientation = { alpha: 0, beta: 0, gamma: 0 };
+    this.hasOrientation = false;
+    
+    // Neutral orientation from a previous calibration
+    this.calibration = loadCalibration(config).gyroscope || null;
     
     // Bound handler for event listener
     this.handleOrientation = this.handleOrientation.bind(this);
@@ -105,16 +115,17 @@ export class GyroscopeTracker {
       beta: beta,
       gamma: gamma
     };
+    this.hasOrientation = true;
     
-    // Assume user holds phone roughly upright (beta around 45-90 degrees)
     // Map deviation from neutral to -1 to 1
-    // Neutral: beta ~ 45 (holding phone at comfortable angle)
-    const neutralBeta = 45;
+    const neutralBeta = this.calibration ? this.calibration.neutralBeta : DEFAULT_NEUTRAL_BETA;
+    const neutralGamma = this.calibration ? this.calibration.neutralGamma : DEFAULT_NEUTRAL_GAMMA;
     const betaOffset = beta - neutralBeta;
+    const gammaOffset = gamma - neutralGamma;
     
     // Clamp to max tilt range
     const clampedBeta = clamp(betaOffset, -gyroMaxTilt, gyroMaxTilt);
-    const clampedGamma = clamp(gamma, -gyroMaxTilt, gyroMaxTilt);
+    const clampedGamma = clamp(gammaOffset, -gyroMaxTilt, gyroMaxTilt);
     
     // Normalize to -1 to 1
     // Positive gamma (tilt right) should move camera right
@@ -158,5 +169,24 @@ export class GyroscopeTracker {
   getCurrentOrientation() {
     return { ...this.currentOrientation };
   }
+  
+  /**
+   * Apply a calibration from CalibrationSession (null for the default neutral)
+   * @param {{neutralBeta: number, neutralGamma: number}|null} calibration
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration;
+  }
+  
+  /**
+   * Latest tilt angles, or null before the first orientation event
+   * @returns {{beta: number, gamma: number}|null}
+   */
+  getRawSample() {
+    if (!this.hasOrientation) return null;
+    
+    const { beta, gamma } = this.currentOrientation;
+    return { beta, gamma };
+  }
 }
 
@@ -0,0 +1,85 @@
+/**
+ * Mouse / Touch Tracker
+ * Uses the pointer position over the background as a stand-in for head position
+ */
+
+import { getRelativePosition } from '../utils/dom.js';
+
+export class MouseTracker {
+  /**
+   * @param {Object} config
+   * @param {Function} onUpdate
+   * @param {HTMLElement} [element] - Element the pointer is mapped across, defaults to the page
+   */
+  constructor(config, onUpdate, element = document.documentElement) {
+    this.config = config;
+    this.onUpdate = onUpdate;
+    this.element = element;
+
+    this.isRunning = false;
+
+    // Bound handlers for event listeners
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+  }
+
+  /**
+   * Start listening to pointer movement
+   * @returns {Promise<boolean>}
+   */
+  async start() {
+    if (this.isRunning) return true;
+
+    window.addEventListener('mousemove', this.handleMouseMove);
+    window.addEventListener('touchmove', this.handleTouchMove, { passive: true });
+    this.isRunning = true;
+
+    console.log('Mouse/touch tracking enabled');
+    return true;
+  }
+
+  /**
+   * @param {MouseEvent} e
+   */
+  handleMouseMove(e) {
+    this.emitPosition(e.clientX, e.clientY);
+  }
+
+  /**
+   * @param {TouchEvent} e
+   */
+  handleTouchMove(e) {
+    if (e.touches.length > 0) {
+      const touch = e.touches[0];
+      this.emitPosition(touch.clientX, touch.clientY);
+    }
+  }
+
+  emitPosition(clientX, clientY) {
+    const { x, y } = getRelativePosition(this.element, clientX, clientY);
+
+    if (this.onUpdate) {
+      this.onUpdate(x, y, 0);
+    }
+  }
+
+  /**
+   * Stop listening to pointer movement
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    window.removeEventListener('mousemove', this.handleMouseMove);
+    window.removeEventListener('touchmove', this.handleTouchMove);
+    this.isRunning = false;
+
+    console.log('Mouse/touch tracking disabled');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.isRunning;
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Tracking Recovery
+ * State machine between the active tracker and the scene for when the viewer disappears
+ *
+ *   tracking    - live tracker output passes straight through
+ *   lost        - hold the last position, then spring back to center
+ *   idle        - after idleTimeout, blend into an attract animation
+ *   reacquiring - viewer is back, blend from wherever the scene is to live tracking
+ *
+ * Trackers report a lost target by calling onUpdate(null)
+ */
+
+import { EventEmitter } from '../utils/events.js';
+import { lerp, smoothstep } from '../utils/math.js';
+import { FallbackAnimator } from './fallback.js';
+
+export const TRACKING_STATE = {
+  tracking: 'tracking',
+  lost: 'lost',
+  idle: 'idle',
+  reacquiring: 'reacquiring'
+};
+
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Critically damped spring toward a target, exact for any time step
+ * @param {{value: number, velocity: number}} spring - Updated in place
+ * @param {number} target
+ * @param {number} omega - Angular frequency in 1/s (higher = faster)
+ * @param {number} dt - Seconds
+ */
+function stepSpring(spring, target, omega, dt) {
+  const offset = spring.value - target;
+  const decay = Math.exp(-omega * dt);
+  const temp = (spring.velocity + omega * offset) * dt;
+
+  spring.velocity = (spring.velocity - omega * temp) * decay;
+  spring.value = target + (offset + temp) * decay;
+}
+
+export class TrackingRecovery extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Function} onOutput - Receives (x, y, z, ...rest) for the scene
+   */
+  constructor(config, onOutput) {
+    super();
+    this.config = config;
+    this.onOutput = onOutput;
+
+    this.state = TRACKING_STATE.tracking;
+    this.stateStart = 0;
+    this.lastTime = null;
+
+    // Latest live sample and the position last sent to the scene
+    this.live = { x: 0, y: 0, z: 0 };
+    this.liveRest = [];
+    this.output = { x: 0, y: 0, z: 0 };
+
+    // Position easing back to center while the viewer is away
+    this.springs = {
+      x: { value: 0, velocity: 0 },
+      y: { value: 0, velocity: 0 },
+      z: { value: 0, velocity: 0 }
+    };
+
+    // Attract animation, and when it started (null until idle)
+    this.animated = { x: 0, y: 0, z: 0 };
+    this.animator = new FallbackAnimator(config, (x, y, z) => {
+      this.animated = { x, y, z };
+    });
+    this.idleSince = null;
+  }
+
+  /**
+   * Live sample from the active tracker
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {Array} rest - Extra tracker data such as a head pose
+   */
+  sample(x, y, z, rest) {
+    this.live = { x, y, z };
+    this.liveRest = rest;
+
+    if (this.state === TRACKING_STATE.tracking) {
+      this.emitOutput(this.live, rest);
+      return;
+    }
+
+    if (this.state !== TRACKING_STATE.reacquiring) {
+      this.setState(TRACKING_STATE.reacquiring, performance.now());
+    }
+  }
+
+  /**
+   * The active tracker lost its target
+   * @param {number} time
+   */
+  lose(time) {
+    if (this.state === TRACKING_STATE.lost || this.state === TRACKING_STATE.idle) return;
+
+    // Lost again mid-blend: carry on from where the scene is now
+    if (this.state === TRACKING_STATE.tracking) {
+      this.idleSince = null;
+    }
+
+    for (const axis of AXES) {
+      this.springs[axis].value = this.output[axis];
+      this.springs[axis].velocity = 0;
+    }
+
+    this.setState(this.idleSince === null ? TRACKING_STATE.lost : TRACKING_STATE.idle, time);
+  }
+
+  /**
+   * Advance springs and blends, call once per frame
+   * @param {number} time
+   */
+  update(time) {
+    const dt = this.lastTime === null ? 0 : Math.max(time - this.lastTime, 0);
+    this.lastTime = time;
+
+    if (this.state === TRACKING_STATE.tracking) return;
+
+    const away = this.updateAway(time, dt);
+
+    if (this.state !== TRACKING_STATE.reacquiring) {
+      this.emitOutput(away, []);
+      return;
+    }
+
+    // Blend from the away position to live tracking
+    const { reacquireBlendTime } = this.config;
+    const weight = reacquireBlendTime > 0 ? smoothstep(0, reacquireBlendTime, time - this.stateStart) : 1;
+
+    if (weight >= 1) {
+      this.animator.stop();
+      this.idleSince = null;
+      this.setState(TRACKING_STATE.tracking, time);
+      this.emitOutput(this.live, this.liveRest);
+      return;
+    }
+
+    this.emitOutput({
+      x: lerp(away.x, this.live.x, weight),
+      y: lerp(away.y, this.live.y, weight),
+      z: lerp(away.z, this.live.z, weight)
+    }, this.liveRest);
+  }
+
+  /**
+   * Where the scene would be with nobody in view
+   * Keeps running while reacquiring so the blend source moves smoothly
+   * @param {number} time
+   * @param {number} dt - ms since last frame
+   * @returns {{x: number, y: number, z: number}}
+   */
+  updateAway(time, dt) {
+    const { lostHoldTime, lostReturnStiffness, idleTimeout, idleBlendTime } = this.config;
+
+    // Hold briefly in case the viewer only looked away, then ease back to center
+    const lostFor = this.state === TRACKING_STATE.lost ? time - this.stateStart : Infinity;
+    if (lostFor > lostHoldTime) {
+      for (const axis of AXES) {
+        stepSpring(this.springs[axis], 0, lostReturnStiffness, dt / 1000);
+      }
+    }
+
+    const eased = {
+      x: this.springs.x.value,
+      y: this.springs.y.value,
+      z: this.springs.z.value
+    };
+
+    if (this.state === TRACKING_STATE.lost && idleTimeout > 0 && lostFor >= idleTimeout) {
+      this.idleSince = time;
+      this.animator.start();
+      this.setState(TRACKING_STATE.idle, time);
+    }
+
+    if (this.idleSince === null) {
+      return eased;
+    }
+
+    this.animator.update(time);
+    const weight = idleBlendTime > 0 ? smoothstep(0, idleBlendTime, time - this.idleSince) : 1;
+
+    return {
+      x: lerp(eased.x, this.animated.x, weight),
+      y: lerp(eased.y, this.animated.y, weight),
+      z: lerp(eased.z, this.animated.z, weight)
+    };
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} position
+   * @param {Array} rest
+   */
+  emitOutput(position, rest) {
+    this.output = { ...position };
+    this.onOutput(position.x, position.y, position.z, ...rest);
+  }
+
+  /**
+   * @param {string} state
+   * @param {number} time
+   */
+  setState(state, time) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.stateStart = time;
+    this.emit('statechange', state, previous);
+  }
+
+  /**
+   * Change the attract animation, crossfading from the current one
+   * @param {string|Object|Object[]} mode - See config.fallbackMode
+   * @param {number} [blendTime] - ms
+   */
+  setAnimationMode(mode, blendTime) {
+    this.animator.setMode(mode, blendTime);
+  }
+
+  /**
+   * Slow, smaller attract animation for prefers-reduced-motion
+   * @param {boolean} enabled
+   */
+  setReducedMotion(enabled) {
+    this.animator.setReducedMotion(enabled);
+  }
+
+  /**
+   * Back to plain tracking, e.g. when switching trackers
+   */
+  reset() {
+    this.animator.stop();
+    this.idleSince = null;
+    this.lastTime = null;
+    this.setState(TRACKING_STATE.tracking, 0);
+  }
+}
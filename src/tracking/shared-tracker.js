@@ -0,0 +1,187 @@
+/**
+ * Shared Tracker Registry
+ * Lets every background instance on the page subscribe to one tracker
+ * (a single camera stream / orientation listener) instead of opening its own
+ */
+
+/**
+ * Page-wide state, stored on window so both bundles share it when loaded on the same page
+ * @param {string} name - window property
+ * @param {Function} create - Builds the state for the first caller
+ * @returns {*}
+ */
+export function getPageState(name, create) {
+  if (typeof window === 'undefined') return create();
+  if (!window[name]) {
+    window[name] = create();
+  }
+  return window[name];
+}
+
+const registry = getPageState('__IMMERSIVE_TRACKERS__', () => new Map());
+
+class SharedTracker {
+  constructor(key, TrackerClass, config) {
+    this.key = key;
+    this.handles = new Set();
+    // Own copy, so live changes from any instance reach it and it outlives the creator
+    this.config = { ...config };
+    this.tracker = new TrackerClass(this.config, (...args) => this.broadcast(...args));
+    this.startPromise = null;
+  }
+
+  /**
+   * Forward tracker output to every subscriber
+   */
+  broadcast(...args) {
+    for (const handle of this.handles) {
+      handle.onUpdate(...args);
+    }
+  }
+
+  /**
+   * Start the underlying tracker once, however many instances ask
+   * @returns {Promise<boolean>}
+   */
+  start() {
+    if (!this.startPromise) {
+      this.startPromise = this.tracker.start().then((started) => {
+        // Allow a later retry if this attempt failed
+        if (!started) {
+          this.startPromise = null;
+        } else {
+          this.updatePreview();
+        }
+        return started;
+      });
+    }
+    return this.startPromise;
+  }
+
+  /**
+   * Take changed keys from an instance's config, the last setConfig() on the page wins
+   * @param {Object} config
+   * @param {string[]} changed
+   */
+  applyConfig(config, changed) {
+    for (const key of changed) {
+      this.config[key] = config[key];
+    }
+  }
+
+  /**
+   * Show the camera preview while any subscriber wants it
+   */
+  updatePreview() {
+    if (this.tracker.setPreviewVisible) {
+      this.tracker.setPreviewVisible([...this.handles].some(handle => handle.showPreview));
+    }
+  }
+
+  subscribe(handle) {
+    this.handles.add(handle);
+    this.updatePreview();
+  }
+
+  /**
+   * Remove a subscriber, stopping the tracker when nobody is left
+   */
+  unsubscribe(handle) {
+    this.handles.delete(handle);
+
+    if (this.handles.size === 0) {
+      this.tracker.stop();
+      registry.delete(this.key);
+    } else {
+      this.updatePreview();
+    }
+  }
+}
+
+/**
+ * Per-instance handle onto a shared tracker
+ * Exposes the same start/stop surface as the trackers themselves
+ */
+class TrackerHandle {
+  constructor(shared, config, onUpdate, { preview = true } = {}) {
+    this.shared = shared;
+    this.config = config;
+    this.onUpdate = onUpdate;
+    this.showPreview = preview && config.showCameraPreview !== false;
+    this.isSubscribed = true;
+
+    shared.subscribe(this);
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  start() {
+    return this.shared.start();
+  }
+
+  /**
+   * Pass this instance's changed options on to the shared tracker
+   * @param {string[]} changed - Config keys that changed
+   */
+  applyConfig(changed) {
+    this.shared.applyConfig(this.config, changed);
+  }
+
+  /**
+   * Ask for the camera preview on behalf of this instance
+   * It stays on screen while any instance on the page asks for it
+   * @param {boolean} visible
+   */
+  setPreviewVisible(visible) {
+    this.showPreview = visible;
+    this.shared.updatePreview();
+  }
+
+  /**
+   * Release this instance's subscription
+   */
+  stop() {
+    if (!this.isSubscribed) return;
+
+    this.isSubscribed = false;
+    this.shared.unsubscribe(this);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.isSubscribed && this.shared.tracker.isActive();
+  }
+
+  /**
+   * The underlying tracker, for tracker-specific calls
+   * (requestPermission, recalibrate...)
+   */
+  get tracker() {
+    return this.shared.tracker;
+  }
+}
+
+/**
+ * Subscribe to the shared tracker for a key, creating it on first use
+ * The tracker is built from the first caller's config, later changes arrive through applyConfig()
+ * @param {string} key - e.g. 'face' or 'gyroscope'
+ * @param {Function} TrackerClass - Tracker constructor taking (config, onUpdate)
+ * @param {Object} config
+ * @param {Function} onUpdate - Receives the tracker's (x, y, z) output
+ * @param {Object} [options]
+ * @param {boolean} [options.preview=true] - Whether this subscriber wants the camera preview
+ * @returns {TrackerHandle}
+ */
+export function acquireTracker(key, TrackerClass, config, onUpdate, options) {
+  let shared = registry.get(key);
+
+  if (!shared) {
+    shared = new SharedTracker(key, TrackerClass, config);
+    registry.set(key, shared);
+  }
+
+  return new TrackerHandle(shared, config, onUpdate, options);
+}
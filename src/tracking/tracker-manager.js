@@ -0,0 +1,444 @@
+/**
+ * Tracker Manager
+ * Owns the set of available trackers, picks the best one by priority,
+ * hot-swaps between them and forwards only the active tracker's output
+ *
+ * A tracker is any object built as `factory(config, onUpdate)` exposing:
+ *   start(): Promise<boolean>   - begin tracking, resolve false if unavailable/denied
+ *   stop(): void                - release resources
+ *   isActive(): boolean
+ *   update?(time): void         - optional per-frame hook (animated trackers)
+ *   applyConfig?(changed): void - optional, called with the keys changed by setConfig()
+ * and calling onUpdate(x, y, z) with values normalized to -1..1,
+ * optionally followed by a head pose { yaw, pitch, roll, distance },
+ * or onUpdate(null) when it loses its target (e.g. no face in view)
+ *
+ * Positions pass through the filter selected by config.trackingFilter,
+ * then TrackingRecovery, before reaching onUpdate
+ */
+
+import { EventEmitter } from '../utils/events.js';
+import { createTrackingFilter } from './filters.js';
+import { TrackingRecovery } from './recovery.js';
+
+// Default priorities for the built-in trackers (higher wins)
+export const TRACKER_PRIORITY = {
+  face: 40,
+  gyroscope: 30,
+  mouse: 20,
+  fallback: 0
+};
+
+const FILTER_KEYS = [
+  'trackingFilter', 'filterMinCutoff', 'filterBeta', 'filterDerivativeCutoff',
+  'kalmanProcessNoise', 'kalmanMeasurementNoise', 'predictionTime'
+];
+
+const FALLBACK_KEYS = ['fallbackMode', 'fallbackPreset', 'fallbackKeyframes', 'fallbackScrollPath'];
+
+// Tracking options that take effect without restarting the trackers,
+// either read every frame or rebuilt by applyConfig()
+export const LIVE_TRACKING_KEYS = [
+  ...FILTER_KEYS,
+  ...FALLBACK_KEYS,
+  'trackingSensitivity', 'smoothingFactor', 'maxCameraOffset',
+  'gyroMaxTilt', 'gyroSensitivity', 'headRotationInfluence',
+  'webcamFOV', 'interPupillaryDistance',
+  'viewerSelection', 'viewerHandoffDelay',
+  'fallbackAnimationSpeed', 'fallbackAnimationRadius', 'fallbackBlendTime',
+  'lostHoldTime', 'lostReturnStiffness', 'idleTimeout', 'idleBlendTime', 'reacquireBlendTime'
+];
+
+export class TrackerManager extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Function} onUpdate - Receives filtered (x, y, z, pose?) from the active tracker
+   */
+  constructor(config, onUpdate) {
+    super();
+    this.config = config;
+    this.onUpdate = onUpdate;
+    this.filter = createTrackingFilter(config);
+
+    // Last tracker sample before and after filtering, null while the target is lost
+    this.rawSample = null;
+    this.filteredSample = null;
+
+    // Hold, ease back and attract animation while the viewer is away
+    this.recovery = new TrackingRecovery(config, (...args) => this.onUpdate(...args));
+    this.recovery.on('statechange', (state, previous) => this.emit('statechange', state, previous));
+
+    this.registrations = new Map();
+    this.active = null;
+    this.isStarted = false;
+    this.timers = [];
+    this.reducedMotion = false;
+  }
+
+  /**
+   * Register a tracker
+   * @param {string} name
+   * @param {Function} factory - (config, onUpdate) => tracker
+   * @param {Object} [options]
+   * @param {number} [options.priority=10] - Higher priorities replace lower ones once started
+   * @param {number} [options.delay=0] - ms to wait before starting (e.g. camera permission)
+   * @param {Function} [options.isAvailable] - Return false to skip this tracker on this device
+   * @param {Function} [options.needsPermission] - Return true if start() must follow a user gesture
+   */
+  register(name, factory, options = {}) {
+    if (this.registrations.has(name)) {
+      this.unregister(name);
+    }
+
+    const registration = {
+      name,
+      factory,
+      priority: options.priority ?? 10,
+      delay: options.delay ?? 0,
+      isAvailable: options.isAvailable || (() => true),
+      needsPermission: options.needsPermission || (() => false),
+      instance: null
+    };
+
+    this.registrations.set(name, registration);
+
+    // Late registrations still get a chance to take over, on the same terms as in start()
+    if (this.isStarted && registration.isAvailable() && this.outranksActive(registration)) {
+      this.request(registration);
+    }
+  }
+
+  /**
+   * Remove a tracker, switching to the next best one if it was active
+   * @param {string} name
+   */
+  unregister(name) {
+    const registration = this.registrations.get(name);
+    if (!registration) return;
+
+    this.stopInstance(registration);
+    this.registrations.delete(name);
+
+    if (this.active === registration) {
+      this.active = null;
+      if (this.isStarted) {
+        this.start();
+      }
+    }
+  }
+
+  /**
+   * Start the best available tracker
+   * Delayed and permission-gated trackers are attempted in the background
+   * and take over if they outrank whatever is running by then
+   */
+  async start() {
+    this.isStarted = true;
+
+    for (const registration of this.getCandidates()) {
+      if (await this.request(registration)) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Start a tracker after its delay, or report that it needs permission first
+   * @param {Object} registration
+   * @returns {Promise<boolean>} Whether it started, false while it waits on its delay or permission
+   */
+  async request(registration) {
+    if (registration.delay > 0) {
+      this.schedule(registration);
+      return false;
+    }
+
+    if (registration.needsPermission()) {
+      this.emit('permissionrequired', registration.name);
+      return false;
+    }
+
+    return this.attempt(registration);
+  }
+
+  /**
+   * Force a specific tracker, stopping the current one
+   * Falls back to the normal priority order if it fails to start
+   * @param {string} name
+   * @returns {Promise<boolean>}
+   */
+  async activate(name) {
+    const registration = this.registrations.get(name);
+    if (!registration) {
+      console.warn(`Unknown tracker: ${name}`);
+      return false;
+    }
+
+    this.isStarted = true;
+    this.clearTimers();
+
+    const started = await this.attempt(registration, true);
+    if (!started && !this.active) {
+      await this.start();
+    }
+    return started;
+  }
+
+  /**
+   * Try to start a tracker and switch to it
+   * @param {Object} registration
+   * @param {boolean} [force] - Switch even if a higher-priority tracker is active
+   * @returns {Promise<boolean>}
+   */
+  async attempt(registration, force = false) {
+    if (this.active === registration) return true;
+
+    if (!registration.instance) {
+      registration.instance = registration.factory(this.config, (...args) => {
+        if (this.active === registration) {
+          this.forward(...args);
+        }
+      });
+      
+      if (registration.instance.setReducedMotion) {
+        registration.instance.setReducedMotion(this.reducedMotion);
+      }
+    }
+
+    this.emit('starting', registration.name);
+
+    let started = false;
+    try {
+      started = await registration.instance.start();
+    } catch (error) {
+      console.warn(`Tracker "${registration.name}" failed to start:`, error);
+    }
+
+    // Manager was stopped or the tracker removed while starting
+    if (!this.isStarted || this.registrations.get(registration.name) !== registration) {
+      this.stopInstance(registration);
+      return false;
+    }
+
+    if (!started) {
+      this.stopInstance(registration);
+      this.emit('failed', registration.name);
+      return false;
+    }
+
+    if (!force && !this.outranksActive(registration)) {
+      this.stopInstance(registration);
+      return false;
+    }
+
+    this.switchTo(registration);
+    return true;
+  }
+
+  /**
+   * Make a started tracker the active one
+   * @param {Object} registration
+   */
+  switchTo(registration) {
+    const previous = this.active;
+    if (previous && previous !== registration) {
+      this.stopInstance(previous);
+    }
+
+    this.active = registration;
+
+    // Velocity from the previous tracker would carry over as a jump
+    if (this.filter) {
+      this.filter.reset();
+    }
+    this.recovery.reset();
+
+    console.log(`Tracker active: ${registration.name}`);
+    this.emit('change', registration.name, previous ? previous.name : null);
+  }
+
+  /**
+   * Filter a tracker sample and pass it on
+   * @param {number|null} x - null when the tracker lost its target
+   * @param {number} y
+   * @param {number} z
+   * @param {...*} rest - Extra tracker data such as a head pose
+   */
+  forward(x, y, z, ...rest) {
+    if (x === null) {
+      // Start fresh on reacquire instead of filtering across the gap
+      if (this.filter) {
+        this.filter.reset();
+      }
+      this.rawSample = null;
+      this.filteredSample = null;
+      this.recovery.lose(performance.now());
+      return;
+    }
+
+    this.rawSample = { x, y, z };
+    const filtered = this.filter ? this.filter.filter(x, y, z) : this.rawSample;
+    this.filteredSample = filtered;
+    this.recovery.sample(filtered.x, filtered.y, filtered.z, rest);
+  }
+
+  /**
+   * Stop a tracker and fall back to the best remaining one
+   * Unlike unregister() the tracker stays registered and can be activated again
+   * @param {string} name
+   */
+  async release(name) {
+    const registration = this.registrations.get(name);
+    if (!registration) return;
+
+    this.clearTimers();
+    this.stopInstance(registration);
+
+    if (this.active === registration) {
+      this.active = null;
+      if (this.isStarted) {
+        await this.start();
+      }
+    }
+  }
+
+  /**
+   * Attempt a delayed tracker once its delay has passed
+   * @param {Object} registration
+   */
+  schedule(registration) {
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter(t => t !== timer);
+      if (!this.outranksActive(registration)) return;
+
+      if (registration.needsPermission()) {
+        this.emit('permissionrequired', registration.name);
+      } else {
+        this.attempt(registration);
+      }
+    }, registration.delay);
+
+    this.timers.push(timer);
+  }
+
+  /**
+   * Per-frame update for trackers that animate themselves
+   * @param {number} time
+   */
+  update(time) {
+    if (this.active && this.active.instance && this.active.instance.update) {
+      this.active.instance.update(time);
+    }
+    this.recovery.update(time);
+  }
+
+  /**
+   * Stop every tracker
+   */
+  stop() {
+    this.isStarted = false;
+    this.clearTimers();
+    this.recovery.reset();
+
+    for (const registration of this.registrations.values()) {
+      this.stopInstance(registration);
+    }
+    this.active = null;
+  }
+
+  /**
+   * Available registrations, highest priority first
+   * @returns {Object[]}
+   */
+  getCandidates() {
+    return [...this.registrations.values()]
+      .filter(registration => registration.isAvailable())
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * @param {Object} registration
+   * @returns {boolean}
+   */
+  outranksActive(registration) {
+    return !this.active || registration.priority > this.active.priority;
+  }
+
+  stopInstance(registration) {
+    if (registration.instance) {
+      registration.instance.stop();
+      registration.instance = null;
+    }
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Recovery state: 'tracking', 'lost', 'idle' or 'reacquiring'
+   * @returns {string}
+   */
+  getState() {
+    return this.recovery.state;
+  }
+
+  /**
+   * Name of the active tracker
+   * @returns {string|null}
+   */
+  getActive() {
+    return this.active ? this.active.name : null;
+  }
+
+  /**
+   * Pick up changed tracking options while running
+   * @param {string[]} changed - Config keys that changed
+   */
+  applyConfig(changed) {
+    if (changed.some(key => FILTER_KEYS.includes(key))) {
+      this.filter = createTrackingFilter(this.config);
+    }
+
+    if (changed.some(key => FALLBACK_KEYS.includes(key))) {
+      const fallback = this.getTracker('fallback');
+      if (fallback && fallback.setMode) {
+        fallback.setMode(this.config.fallbackMode);
+      }
+      this.recovery.setAnimationMode(this.config.fallbackMode);
+    }
+
+    for (const { instance } of this.registrations.values()) {
+      if (instance && instance.applyConfig) {
+        instance.applyConfig(changed);
+      }
+    }
+  }
+
+  /**
+   * Slow down the ambient animations (fallback tracker and attract loop)
+   * Config values are left alone, so turning it off restores the normal motion
+   * @param {boolean} enabled
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled;
+    this.recovery.setReducedMotion(enabled);
+    
+    for (const { instance } of this.registrations.values()) {
+      if (instance && instance.setReducedMotion) {
+        instance.setReducedMotion(enabled);
+      }
+    }
+  }
+  
+  /**
+   * Running instance of a tracker, if any
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getTracker(name) {
+    const registration = this.registrations.get(name);
+    return registration ? registration.instance : null;
+  }
+}
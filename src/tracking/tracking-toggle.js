@@ -0,0 +1,82 @@
+/**
+ * Tracking Toggle
+ * Persistent on/off switch for camera head tracking
+ */
+
+export class TrackingToggle {
+  /**
+   * Placed on document.body so it stays clickable above the page
+   * @param {Function} onToggle - Receives the requested state (true = on)
+   */
+  constructor(onToggle) {
+    this.onToggle = onToggle;
+    this.button = null;
+    this.isOn = false;
+
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Create the toggle button
+   */
+  show() {
+    if (this.button) return;
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'tracking-toggle';
+    this.button.style.cssText = `
+      position: fixed;
+      bottom: 1rem;
+      left: 1rem;
+      padding: 0.375rem 0.875rem;
+      background: rgba(0, 0, 0, 0.4);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 2rem;
+      color: white;
+      font-size: 0.75rem;
+      cursor: pointer;
+      backdrop-filter: blur(10px);
+      pointer-events: auto;
+      z-index: 100;
+    `;
+    this.button.addEventListener('click', this.handleClick);
+    document.body.appendChild(this.button);
+    this.render();
+  }
+
+  handleClick() {
+    if (this.onToggle) {
+      this.onToggle(!this.isOn);
+    }
+  }
+
+  /**
+   * Reflect the current tracking state
+   * @param {boolean} isOn
+   */
+  setState(isOn) {
+    this.isOn = isOn;
+    this.render();
+  }
+
+  render() {
+    if (!this.button) return;
+
+    this.button.setAttribute('aria-pressed', String(this.isOn));
+    this.button.textContent = this.isOn ? 'Head tracking: on' : 'Head tracking: off';
+  }
+
+  /**
+   * Remove the toggle
+   */
+  dispose() {
+    if (this.button) {
+      this.button.removeEventListener('click', this.handleClick);
+      if (this.button.parentNode) {
+        this.button.parentNode.removeChild(this.button);
+      }
+    }
+    this.button = null;
+  }
+}
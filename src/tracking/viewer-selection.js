@@ -0,0 +1,230 @@
+/**
+ * Viewer Selection
+ * Picks which detected face drives the scene when several people are in view
+ *
+ * Policies (config.viewerSelection):
+ * - 'sticky': keep following the same face by bounding-box continuity,
+ *   pick the largest face when nobody is followed yet
+ * - 'largest': the biggest (usually closest) face
+ * - 'center': the face nearest the middle of the camera image
+ * - 'crowd': every face, averaged by the face tracker, each with depth
+ *   measured against its own size when first seen
+ *
+ * Switching to a different viewer waits config.viewerHandoffDelay ms so brief
+ * occlusions or a passer-by do not make the scene jump
+ */
+
+const POLICIES = ['sticky', 'largest', 'center', 'crowd'];
+
+/**
+ * @param {Object} box - MediaPipe bounding box (normalized)
+ * @returns {number}
+ */
+function area(box) {
+  return box.width * box.height;
+}
+
+/**
+ * @param {Object} box
+ * @returns {number} Distance of the box center from the image center
+ */
+function distanceFromCenter(box) {
+  return Math.hypot(box.xCenter - 0.5, box.yCenter - 0.5);
+}
+
+/**
+ * Find the item continuing a bounding box from the last frame
+ * An item counts as the same viewer if its center moved less than the box size
+ * @param {Object[]} items
+ * @param {Object} box
+ * @param {Function} getBox - item => bounding box
+ * @returns {Object|null}
+ */
+function findContinuation(items, box, getBox) {
+  const maxJump = Math.max(box.width, box.height);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const item of items) {
+    const other = getBox(item);
+    const distance = Math.hypot(other.xCenter - box.xCenter, other.yCenter - box.yCenter);
+    if (distance < bestDistance) {
+      best = item;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= maxJump ? best : null;
+}
+
+export class ViewerSelector {
+  /**
+   * @param {Object} config
+   */
+  constructor(config) {
+    this.config = config;
+
+    if (!POLICIES.includes(config.viewerSelection)) {
+      console.warn(`Unknown viewerSelection "${config.viewerSelection}", using "sticky"`);
+    }
+
+    // Bounding box of the viewer being followed
+    this.current = null;
+    // When the preferred face first differed from the followed one
+    this.handoffStart = null;
+
+    // Crowd mode: { box, baseSize } per viewer, and the base size of this frame's detections
+    this.crowd = [];
+    this.baseSizes = new WeakMap();
+  }
+
+  /**
+   * @returns {string}
+   */
+  get policy() {
+    return POLICIES.includes(this.config.viewerSelection) ? this.config.viewerSelection : 'sticky';
+  }
+
+  /**
+   * Choose the detections to track this frame
+   * @param {Object[]} detections - MediaPipe detections
+   * @param {number} time - Timestamp in ms
+   * @returns {Object[]} One detection, every detection in crowd mode, or none while waiting on a handoff
+   */
+  select(detections, time) {
+    const faces = detections.filter(detection => detection.boundingBox);
+
+    if (this.policy === 'crowd') {
+      return this.trackCrowd(faces);
+    }
+
+    if (faces.length === 0) {
+      return this.wait(time);
+    }
+
+    const followed = this.current ? this.match(faces) : null;
+    const preferred = this.policy === 'sticky'
+      ? followed || this.pickLargest(faces)
+      : this.pickPreferred(faces);
+
+    if (!this.current || preferred === followed) {
+      return this.follow(preferred);
+    }
+
+    if (this.handoffStart === null) {
+      this.handoffStart = time;
+    }
+
+    if (time - this.handoffStart >= this.config.viewerHandoffDelay) {
+      return this.follow(preferred);
+    }
+
+    // Keep the current viewer until the handoff delay has passed
+    return followed ? [this.track(followed)] : [];
+  }
+
+  /**
+   * Nobody in view: forget the viewer once the handoff delay has passed
+   * @param {number} time
+   * @returns {Object[]}
+   */
+  wait(time) {
+    if (this.current) {
+      if (this.handoffStart === null) {
+        this.handoffStart = time;
+      } else if (time - this.handoffStart >= this.config.viewerHandoffDelay) {
+        this.reset();
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Switch to (or keep) a viewer
+   * @param {Object} detection
+   * @returns {Object[]}
+   */
+  follow(detection) {
+    this.handoffStart = null;
+    return [this.track(detection)];
+  }
+
+  /**
+   * Remember where the followed viewer is
+   * @param {Object} detection
+   * @returns {Object}
+   */
+  track(detection) {
+    this.current = { ...detection.boundingBox };
+    return detection;
+  }
+
+  /**
+   * Follow every face, each keeping the size it had when first seen
+   * @param {Object[]} faces
+   * @returns {Object[]}
+   */
+  trackCrowd(faces) {
+    const previous = [...this.crowd];
+
+    this.crowd = faces.map((face) => {
+      const box = face.boundingBox;
+      const known = findContinuation(previous, box, viewer => viewer.box);
+      if (known) {
+        previous.splice(previous.indexOf(known), 1);
+      }
+
+      const viewer = { box: { ...box }, baseSize: known ? known.baseSize : area(box) };
+      this.baseSizes.set(face, viewer.baseSize);
+      return viewer;
+    });
+
+    return faces;
+  }
+
+  /**
+   * Face size a crowd viewer's depth is measured against
+   * @param {Object} detection - One returned by select() this frame
+   * @returns {number|null} null outside crowd mode
+   */
+  getBaseSize(detection) {
+    return this.baseSizes.get(detection) ?? null;
+  }
+
+  /**
+   * Find the face continuing the followed viewer's bounding box
+   * @param {Object[]} faces
+   * @returns {Object|null}
+   */
+  match(faces) {
+    return findContinuation(faces, this.current, face => face.boundingBox);
+  }
+
+  /**
+   * @param {Object[]} faces
+   * @returns {Object}
+   */
+  pickPreferred(faces) {
+    if (this.policy === 'center') {
+      return faces.reduce((a, b) => distanceFromCenter(b.boundingBox) < distanceFromCenter(a.boundingBox) ? b : a);
+    }
+    return this.pickLargest(faces);
+  }
+
+  /**
+   * @param {Object[]} faces
+   * @returns {Object}
+   */
+  pickLargest(faces) {
+    return faces.reduce((a, b) => area(b.boundingBox) > area(a.boundingBox) ? b : a);
+  }
+
+  /**
+   * Forget the followed viewer and the crowd
+   */
+  reset() {
+    this.current = null;
+    this.handoffStart = null;
+    this.crowd = [];
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Color Utilities
+ * One parser for every color in config, shared by both backgrounds
+ *
+ * Accepts:
+ * - numbers: 0x0a0a0f
+ * - hex: '#fff', '#ffff', '#0a0a0f', '#0a0a0fcc' (also with a 0x prefix)
+ * - 'rgb(10, 10, 15)', 'rgba(10 10 15 / 50%)'
+ * - 'hsl(240, 20%, 5%)', 'hsla(240deg 20% 5% / 0.5)'
+ * - CSS named colors: 'midnightblue'
+ * - CSS custom properties: 'var(--brand-dark)' or 'var(--brand-dark, #000)',
+ *   read from the background's container so Webflow design tokens apply
+ */
+
+import { warnOnce } from './warn.js';
+
+// CSS named colors (CSS Color Module Level 4)
+const NAMED_COLORS = {
+  aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4,
+  azure: 0xf0ffff, beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000,
+  blanchedalmond: 0xffebcd, blue: 0x0000ff, blueviolet: 0x8a2be2, brown: 0xa52a2a,
+  burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00, chocolate: 0xd2691e,
+  coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c,
+  cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b,
+  darkgray: 0xa9a9a9, darkgreen: 0x006400, darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b,
+  darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f, darkorange: 0xff8c00, darkorchid: 0x9932cc,
+  darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f, darkslateblue: 0x483d8b,
+  darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1, darkviolet: 0x9400d3,
+  deeppink: 0xff1493, deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969,
+  dodgerblue: 0x1e90ff, firebrick: 0xb22222, floralwhite: 0xfffaf0, forestgreen: 0x228b22,
+  fuchsia: 0xff00ff, gainsboro: 0xdcdcdc, ghostwhite: 0xf8f8ff, gold: 0xffd700,
+  goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000, greenyellow: 0xadff2f,
+  grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4, indianred: 0xcd5c5c,
+  indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+  lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6,
+  lightcoral: 0xf08080, lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3,
+  lightgreen: 0x90ee90, lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a,
+  lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa, lightslategray: 0x778899, lightslategrey: 0x778899,
+  lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0, lime: 0x00ff00, limegreen: 0x32cd32,
+  linen: 0xfaf0e6, magenta: 0xff00ff, maroon: 0x800000, mediumaquamarine: 0x66cdaa,
+  mediumblue: 0x0000cd, mediumorchid: 0xba55d3, mediumpurple: 0x9370db, mediumseagreen: 0x3cb371,
+  mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a, mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585,
+  midnightblue: 0x191970, mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5,
+  navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000,
+  olivedrab: 0x6b8e23, orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6,
+  palegoldenrod: 0xeee8aa, palegreen: 0x98fb98, paleturquoise: 0xafeeee, palevioletred: 0xdb7093,
+  papayawhip: 0xffefd5, peachpuff: 0xffdab9, peru: 0xcd853f, pink: 0xffc0cb,
+  plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080, rebeccapurple: 0x663399,
+  red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1, saddlebrown: 0x8b4513,
+  salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57, seashell: 0xfff5ee,
+  sienna: 0xa0522d, silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd,
+  slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa, springgreen: 0x00ff7f,
+  steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8,
+  tomato: 0xff6347, turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3,
+  white: 0xffffff, whitesmoke: 0xf5f5f5, yellow: 0xffff00, yellowgreen: 0x9acd32
+};
+
+const HEX_PATTERN = /^(?:#|0x)([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_PATTERN = /^(rgba?|hsla?)\((.*)\)$/i;
+const VAR_PATTERN = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/i;
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+/**
+ * Read a function argument, percentages scaled to `percentOf`
+ * @param {string} text
+ * @param {number} percentOf
+ * @returns {number}
+ */
+function parseChannel(text, percentOf) {
+  return text.endsWith('%') ? parseFloat(text) / 100 * percentOf : parseFloat(text);
+}
+
+/**
+ * @param {number} h - Degrees
+ * @param {number} s - 0-1
+ * @param {number} l - 0-1
+ * @returns {{r: number, g: number, b: number}} 0-255
+ */
+function hslToRGB(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 360;
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+
+  const channel = (t) => {
+    const x = (t + 1) % 1;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+
+  return {
+    r: Math.round(channel(hue + 1 / 3) * 255),
+    g: Math.round(channel(hue) * 255),
+    b: Math.round(channel(hue - 1 / 3) * 255)
+  };
+}
+
+/**
+ * Parse rgb()/rgba()/hsl()/hsla(), comma or space separated
+ * @param {string} name
+ * @param {string} body
+ * @returns {Object|null}
+ */
+function parseFunction(name, body) {
+  const parts = body.split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length !== 3 && parts.length !== 4) return null;
+
+  const alpha = parts.length === 4 ? parseChannel(parts[3], 1) : 1;
+  let rgb;
+
+  if (name.toLowerCase().startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => Math.round(parseChannel(part, 255)));
+    rgb = { r, g, b };
+  } else {
+    // Saturation and lightness are percentages with or without the % sign
+    const hue = parseFloat(parts[0]) * (parts[0].endsWith('turn') ? 360 : 1);
+    rgb = hslToRGB(hue, parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100);
+  }
+
+  const values = [rgb.r, rgb.g, rgb.b, alpha];
+  if (values.some(value => !Number.isFinite(value))) return null;
+
+  const clamp255 = (value) => Math.min(Math.max(value, 0), 255);
+  return { r: clamp255(rgb.r), g: clamp255(rgb.g), b: clamp255(rgb.b), a: Math.min(Math.max(alpha, 0), 1) };
+}
+
+/**
+ * Parse a color
+ * @param {number|string} value - See the formats at the top of this file
+ * @param {Element} [element] - Where var() custom properties are read, defaults to the root element
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels in 0-255, alpha 0-1, null if unreadable
+ */
+export function parseColor(value, element) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 1 };
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+
+  const hex = HEX_PATTERN.exec(text);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    const color = parseColor(parseInt(digits.slice(0, 6), 16));
+    color.a = digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1;
+    return color;
+  }
+
+  const fn = FUNCTION_PATTERN.exec(text);
+  if (fn) {
+    return parseFunction(fn[1], fn[2].trim());
+  }
+
+  const variable = VAR_PATTERN.exec(text);
+  if (variable) {
+    const resolved = readCustomProperty(variable[1], element);
+    return (resolved && parseColor(resolved, element)) || (variable[2] ? parseColor(variable[2], element) : null);
+  }
+
+  const named = text.toLowerCase();
+  if (named === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, named)) return parseColor(NAMED_COLORS[named]);
+
+  return null;
+}
+
+/**
+ * @param {string} name - '--brand-dark'
+ * @param {Element} [element]
+ * @returns {string} Empty if unset or outside a browser
+ */
+function readCustomProperty(name, element) {
+  if (typeof document === 'undefined' || typeof getComputedStyle === 'undefined') return '';
+  return getComputedStyle(element || document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * Check a color's syntax without resolving custom properties
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isColorValue(value) {
+  if (typeof value === 'string' && VAR_PATTERN.test(value.trim())) return true;
+  return parseColor(value) !== null;
+}
+
+/**
+ * Resolve a config color, warning once about unreadable values
+ * @param {number|string} value
+ * @param {Element} [element]
+ * @returns {{r: number, g: number, b: number, a: number}} Black if unreadable
+ */
+export function resolveColor(value, element) {
+  const color = parseColor(value, element);
+  if (color) return color;
+
+  warnOnce(`Could not read color ${JSON.stringify(value)}, using black`);
+  return { ...BLACK };
+}
+
+/**
+ * @param {{r: number, g: number, b: number}} color
+ * @returns {number} 0xRRGGBB
+ */
+export function toColorNumber({ r, g, b }) {
+  return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+}
+
+/**
+ * @param {{r: number, g: number, b: number}} color
+ * @returns {string} '#rrggbb'
+ */
+export function toHexString(color) {
+  return `#${toColorNumber(color).toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * @param {{r: number, g: number, b: number}} color
+ * @returns {number[]} [r, g, b] in 0-1, for shader uniforms
+ */
+export function toRGBArray({ r, g, b }) {
+  return [r / 255, g / 255, b / 255];
+}
+
+/**
+ * @param {{r: number, g: number, b: number, a: number}} color
+ * @returns {string} 'rgba(r, g, b, a)' for CSS and SVG
+ */
+export function toCSSColor({ r, g, b, a }) {
+  return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+}
+
+/**
+ * Config color as a number, for three.js
+ * @param {number|string} value
+ * @param {Element} [element]
+ * @returns {number}
+ */
+export function colorToNumber(value, element) {
+  return toColorNumber(resolveColor(value, element));
+}
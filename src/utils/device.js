@@ -89,6 +89,14 @@ export function prefersReducedMotion() {
   return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
+/**
+ * Check if the user's system is set to dark mode
+ * @returns {boolean}
+ */
+export function prefersDarkScheme() {
+  return window.matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
 /**
  * Check if getUserMedia (camera access) is available
  * @returns {boolean}
@@ -0,0 +1,66 @@
+/**
+ * DOM helpers for mounting backgrounds inside page elements
+ */
+
+import { clamp } from './math.js';
+
+/**
+ * Resolve a container argument to an element
+ * @param {HTMLElement|string|undefined} container - Element or CSS selector
+ * @param {string} fallbackId - Id used when no container is given
+ * @returns {HTMLElement|null}
+ */
+export function resolveContainer(container, fallbackId) {
+  if (container instanceof HTMLElement) {
+    return container;
+  }
+  if (typeof container === 'string') {
+    return document.querySelector(container);
+  }
+  return document.getElementById(fallbackId);
+}
+
+/**
+ * Make sure absolutely positioned children are laid out relative to the container
+ * @param {HTMLElement} container
+ */
+export function ensurePositioned(container) {
+  if (window.getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+}
+
+/**
+ * Get the rendered size of an element, falling back to the window
+ * when the element has not been laid out yet
+ * @param {HTMLElement} element
+ * @returns {{width: number, height: number}}
+ */
+export function getElementSize(element) {
+  const width = element ? element.clientWidth : 0;
+  const height = element ? element.clientHeight : 0;
+
+  return {
+    width: width || window.innerWidth,
+    height: height || window.innerHeight
+  };
+}
+
+/**
+ * Map a viewport point to -1..1 across an element's rect (Y up)
+ * Points outside the element are clamped to its edges
+ * @param {HTMLElement} element
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{x: number, y: number}}
+ */
+export function getRelativePosition(element, clientX, clientY) {
+  const rect = element.getBoundingClientRect();
+  const width = rect.width || window.innerWidth;
+  const height = rect.height || window.innerHeight;
+
+  return {
+    x: clamp(((clientX - rect.left) / width) * 2 - 1, -1, 1),
+    y: clamp(-(((clientY - rect.top) / height) * 2 - 1), -1, 1)
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Easing functions for keyframed motion
+ * Each maps progress 0-1 to eased progress 0-1
+ */
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  sineInOut: (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+/**
+ * Look up an easing by name
+ * @param {string|Function} [easing] - Name from EASINGS or a custom function
+ * @returns {Function}
+ */
+export function getEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  if (!easing) return EASINGS.linear;
+
+  if (!EASINGS[easing]) {
+    console.warn(`Unknown easing "${easing}", using linear`);
+    return EASINGS.linear;
+  }
+  return EASINGS[easing];
+}
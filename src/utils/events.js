@@ -0,0 +1,62 @@
+/**
+ * Minimal event emitter for background instances
+ */
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event
+   * @param {Function} callback
+   */
+  off(event, callback) {
+    const callbacks = this.listeners[event];
+    if (!callbacks) return;
+
+    this.listeners[event] = callbacks.filter(cb => cb !== callback);
+  }
+
+  /**
+   * Emit an event to all subscribers
+   * A throwing listener is logged and does not stop the others
+   * @param {string} event
+   * @param {...*} args
+   */
+  emit(event, ...args) {
+    const callbacks = this.listeners[event];
+    if (!callbacks) return;
+
+    for (const callback of [...callbacks]) {
+      try {
+        callback(...args);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    }
+  }
+
+  /**
+   * Remove every listener
+   */
+  removeAllListeners() {
+    this.listeners = {};
+  }
+}
@@ -91,6 +91,29 @@ export function expDecay(current, target, decay, deltaTime) {
   return target + (current - target) * Math.exp(-decay * deltaTime);
 }
 
+/**
+ * Convert a per-frame lerp factor tuned at 60fps to an expDecay rate per ms
+ * so the same feel holds at any frame rate
+ * @param {number} factor - Fraction of the distance covered each 60fps frame (0-1)
+ * @returns {number}
+ */
+export function frameFactorToDecay(factor) {
+  return -Math.log(1 - clamp(factor, 0, 0.999)) / 16.67;
+}
+
+/**
+ * Average a list of objects key by key
+ * @param {Object[]} items - Objects with the same numeric keys
+ * @returns {Object}
+ */
+export function averageObjects(items) {
+  const result = {};
+  for (const key of Object.keys(items[0])) {
+    result[key] = items.reduce((sum, item) => sum + item[key], 0) / items.length;
+  }
+  return result;
+}
+
 /**
  * 3D vector lerp
  * @param {{x: number, y: number, z: number}} current
@@ -0,0 +1,68 @@
+/**
+ * 1D Perlin gradient noise for organic, non-repeating motion
+ */
+
+import { lerp } from './math.js';
+
+// Fixed permutation so the same seed always gives the same wander
+const PERMUTATION = (() => {
+  const table = Array.from({ length: 256 }, (_, i) => i);
+  let seed = 1337;
+  for (let i = table.length - 1; i > 0; i--) {
+    seed = (seed * 16807) % 2147483647;
+    const j = seed % (i + 1);
+    [table[i], table[j]] = [table[j], table[i]];
+  }
+  return table;
+})();
+
+/**
+ * @param {number} t
+ * @returns {number}
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Gradient for a lattice point, -1 to 1
+ * @param {number} i
+ * @returns {number}
+ */
+function gradient(i) {
+  return (PERMUTATION[i & 255] / 255) * 2 - 1;
+}
+
+/**
+ * Perlin noise at x
+ * @param {number} x
+ * @returns {number} Roughly -1 to 1, 0 at integer x
+ */
+export function perlin1D(x) {
+  const i = Math.floor(x);
+  const f = x - i;
+
+  return lerp(gradient(i) * f, gradient(i + 1) * (f - 1), fade(f)) * 2;
+}
+
+/**
+ * Layered Perlin noise (fractal Brownian motion)
+ * @param {number} x
+ * @param {number} [octaves=2] - Layers of finer detail
+ * @returns {number} Roughly -1 to 1
+ */
+export function fractalNoise1D(x, octaves = 2) {
+  let value = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let total = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    value += perlin1D(x * frequency) * amplitude;
+    total += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+
+  return value / total;
+}
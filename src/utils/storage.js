@@ -0,0 +1,46 @@
+/**
+ * localStorage helpers that fail quietly
+ * Storage can be unavailable (private browsing, blocked cookies) or hold corrupt data
+ */
+
+/**
+ * Read and parse a stored JSON value
+ * @param {string} key
+ * @returns {*} The value, or null if missing or unreadable
+ */
+export function readStorage(key) {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a value as JSON
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean} Whether the value was saved
+ */
+export function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Could not save "${key}" to localStorage:`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove a stored value
+ * @param {string} key
+ */
+export function removeStorage(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    // Storage unavailable - nothing to remove
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Console warnings for config problems
+ */
+
+// Config is resolved again on every setConfig(), so each message is only shown the first time
+const reported = new Set();
+
+/**
+ * @param {string} message
+ */
+export function warnOnce(message) {
+  if (reported.has(message)) return;
+  reported.add(message);
+  console.warn(message);
+}
@@ -1,9 +1,16 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { copyFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
 
 // Get build target from environment or default to 'all'
 const buildTarget = process.env.BUILD_TARGET || 'all';
 
+// Ship MediaPipe's script, wasm and models next to the bundle instead of using the CDN
+const localMediapipe = process.env.MEDIAPIPE_ASSETS === 'local';
+
+// Same for the Draco decoder and KTX2 transcoder used by compressed models
+const localDecoders = process.env.DECODER_ASSETS === 'local';
+
 // Configuration for different build targets
 const buildConfigs = {
   // Original 3D logo background
@@ -47,7 +54,82 @@ function getBuildConfig() {
   return buildConfigs.immersive;
 }
 
+// Copy @mediapipe/face_detection runtime files into <outDir>/mediapipe
+function copyMediapipeAssets() {
+  const sourceDir = resolve(__dirname, 'node_modules/@mediapipe/face_detection');
+  const assetPattern = /\.(js|wasm|data|tflite|binarypb)$/;
+  let outDir = 'dist';
+
+  return {
+    name: 'copy-mediapipe-assets',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    writeBundle() {
+      if (!existsSync(sourceDir)) {
+        throw new Error('@mediapipe/face_detection is not installed - run npm install');
+      }
+
+      const targetDir = resolve(outDir, 'mediapipe');
+      mkdirSync(targetDir, { recursive: true });
+
+      for (const file of readdirSync(sourceDir)) {
+        if (assetPattern.test(file)) {
+          copyFileSync(resolve(sourceDir, file), resolve(targetDir, file));
+        }
+      }
+    }
+  };
+}
+
+// Copy three's Draco decoder and Basis (KTX2) transcoder into <outDir>/draco and <outDir>/basis
+function copyDecoderAssets() {
+  const libsDir = resolve(__dirname, 'node_modules/three/examples/jsm/libs');
+  const decoders = [
+    { source: 'draco/gltf', target: 'draco', pattern: /^draco_(decoder|wasm_wrapper)\.(js|wasm)$/ },
+    { source: 'basis', target: 'basis', pattern: /^basis_transcoder\.(js|wasm)$/ }
+  ];
+  let outDir = 'dist';
+
+  return {
+    name: 'copy-decoder-assets',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    writeBundle() {
+      for (const { source, target, pattern } of decoders) {
+        const sourceDir = resolve(libsDir, source);
+        if (!existsSync(sourceDir)) {
+          throw new Error(`three/examples/jsm/libs/${source} not found - run npm install`);
+        }
+
+        const targetDir = resolve(outDir, target);
+        mkdirSync(targetDir, { recursive: true });
+
+        for (const file of readdirSync(sourceDir)) {
+          if (pattern.test(file)) {
+            copyFileSync(resolve(sourceDir, file), resolve(targetDir, file));
+          }
+        }
+      }
+    }
+  };
+}
+
+const offlinePlugins = [
+  ...(localMediapipe ? [copyMediapipeAssets()] : []),
+  // Spotlight has no model to decode
+  ...(localDecoders && buildTarget !== 'spotlight' ? [copyDecoderAssets()] : [])
+];
+
 export default defineConfig({
+  define: {
+    __MEDIAPIPE_LOCAL__: JSON.stringify(localMediapipe),
+    __DECODERS_LOCAL__: JSON.stringify(localDecoders)
+  },
+  plugins: offlinePlugins,
   build: {
     ...getBuildConfig(),
     outDir: 'dist',